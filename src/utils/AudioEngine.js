@@ -1,25 +1,47 @@
 import { writable, get } from 'svelte/store';
+import { StereoRouting } from './stereoRouting.js';
 
 export class AudioEngine {
     constructor() {
         this.audioContext = null;
         this.leftOscillator = null;
         this.rightOscillator = null;
+        this.leftInput = null;
+        this.rightInput = null;
         this.leftGain = null;
         this.rightGain = null;
         this.masterGain = null;
         this.merger = null;
         this.leftAnalyser = null;
         this.rightAnalyser = null;
+
+        // Z (blanking) output on the third channel of multichannel interfaces.
+        // Frames carry a 0/1 blanking mask; zGain turns it into the Z signal
+        // (gain = level, negated for negative polarity).
+        this.zOscillator = null;
+        this.zGain = null;
+        this.zAnalyser = null;
+        this.zOutput = { enabled: false, polarity: 'positive', level: 1.0 };
         this.defaultFrequency = 100; // Settings tab default frequency
         this.baseFrequency = 100; // Current playback frequency
-        this.currentRotation = 0;
         this.isPlaying = writable(false);
 
+        // Output transform worklet between the sources and the gains.
+        // Sources connect to leftInput/rightInput; until the worklet has
+        // loaded those feed the gains directly.
+        this.transformNode = null;
+        this.transform = { rotation: 0, spin: 0, scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+
         // AudioWorklet for points mode (runs on audio thread, stutter-free)
         this.pointsWorkletNode = null;
         this.pointsWorkletReady = false;
 
+        // How the worklet moves from one frame to the next ('cut', 'cycle', 'travel')
+        this.pointsTransition = { mode: 'cut', slewRate: 0.02 };
+
+        // External stereo sources (Line In, file player) routed into the gains
+        this.stereoRoutings = new Set();
+
         // Generation counter to detect stale async operations after mode switches
         this._audioGeneration = 0;
     }
@@ -42,6 +64,18 @@ export class AudioEngine {
             this.rightGain = this.audioContext.createGain();
             this.leftGain.gain.value = 0.3; // Initial volume at 30% (matches Settings default)
             this.rightGain.gain.value = 0.3;
+
+            // Source connection points, routed through the transform worklet
+            // once it has loaded
+            this.leftInput = this.audioContext.createGain();
+            this.rightInput = this.audioContext.createGain();
+            this.leftInput.connect(this.leftGain);
+            this.rightInput.connect(this.rightGain);
+            this.startTransformWorklet().catch((error) => {
+                // Sources stay connected straight to the gains, untransformed
+                console.error('Transform worklet failed to load:', error);
+            });
+
             this.masterGain = this.audioContext.createGain();
             this.masterGain.gain.value = 1.0; // Unity gain (volume controlled by left/right gains)
 
@@ -53,16 +87,26 @@ export class AudioEngine {
             this.leftAnalyser.fftSize = 16384;
             this.rightAnalyser.fftSize = 16384;
 
-            // Create channel merger for stereo output
-            this.merger = this.audioContext.createChannelMerger(2);
+            // Z channel: blanking mask → gain (polarity/level) → analyser
+            this.zGain = this.audioContext.createGain();
+            this.zAnalyser = this.audioContext.createAnalyser();
+            this.zAnalyser.fftSize = 16384;
+            this.zGain.connect(this.zAnalyser);
+
+            // Create channel merger for X/Y output plus the optional Z channel.
+            // The destination only takes the third channel when Z output is
+            // enabled on a device that has one; otherwise it is dropped.
+            this.merger = this.audioContext.createChannelMerger(3);
 
             // Connect: left/right gains → analysers → merger → master gain → destination
             this.leftGain.connect(this.leftAnalyser);
             this.rightGain.connect(this.rightAnalyser);
             this.leftAnalyser.connect(this.merger, 0, 0);   // Left channel
             this.rightAnalyser.connect(this.merger, 0, 1);  // Right channel
+            this.zAnalyser.connect(this.merger, 0, 2);      // Z channel
             this.merger.connect(this.masterGain);
             this.masterGain.connect(this.audioContext.destination);
+            this.applyZOutput();
 
             // Restore saved output device
             const savedDevice = localStorage.getItem('generator-output-device');
@@ -75,10 +119,55 @@ export class AudioEngine {
     getAnalysers() {
         return {
             left: this.leftAnalyser,
-            right: this.rightAnalyser
+            right: this.rightAnalyser,
+            z: this.zOutput.enabled ? this.zAnalyser : null
         };
     }
 
+    /**
+     * Number of channels the current output device accepts (2 for stereo).
+     */
+    getMaxOutputChannels() {
+        return this.audioContext?.destination.maxChannelCount ?? 2;
+    }
+
+    /**
+     * Configure the Z (blanking) output channel.
+     * @param {boolean} enabled - Output Z on the third channel
+     * @param {string} polarity - 'positive' (blank = +level) or 'negative' (blank = -level)
+     * @param {number} level - Blanking signal amplitude (0..1)
+     */
+    setZOutput(enabled, polarity, level) {
+        this.zOutput = { enabled, polarity, level: parseFloat(level) };
+        this.applyZOutput();
+    }
+
+    applyZOutput() {
+        if (!this.audioContext) return;
+        const { enabled, polarity, level } = this.zOutput;
+        this.zGain.gain.value = polarity === 'negative' ? -level : level;
+
+        const destination = this.audioContext.destination;
+        if (enabled && destination.maxChannelCount >= 3) {
+            destination.channelCount = 3;
+            destination.channelInterpretation = 'discrete';
+        } else {
+            destination.channelCount = 2;
+            destination.channelInterpretation = 'speakers';
+        }
+
+        if (!enabled) {
+            this.stopZOscillator();
+        }
+    }
+
+    stopZOscillator() {
+        if (this.zOscillator) {
+            this.zOscillator.stop();
+            this.zOscillator = null;
+        }
+    }
+
     start() {
         this.initialize();
         this.isPlaying.set(true);
@@ -93,6 +182,7 @@ export class AudioEngine {
             this.rightOscillator.stop();
             this.rightOscillator = null;
         }
+        this.stopZOscillator();
 
         // Stop points mode worklet
         this.stopPointsWorklet();
@@ -114,6 +204,7 @@ export class AudioEngine {
             this.rightOscillator.stop();
             this.rightOscillator = null;
         }
+        this.stopZOscillator();
         this.stopPointsWorklet();
     }
 
@@ -140,8 +231,111 @@ export class AudioEngine {
         this.baseFrequency = parseFloat(value);
     }
 
-    setRotation(value) {
-        this.currentRotation = parseFloat(value);
+    // === Output transform (AudioWorklet, applies to every source) ===
+
+    /**
+     * Update output transform parameters. Changes are smoothed over a few
+     * milliseconds so slider moves don't step.
+     * @param {object} values - Any of rotation (degrees), spin (degrees/s),
+     *   scaleX, scaleY, offsetX, offsetY
+     */
+    setTransform(values) {
+        for (const [name, value] of Object.entries(values)) {
+            this.transform[name] = parseFloat(value);
+        }
+        if (!this.transformNode) return;
+
+        const now = this.audioContext.currentTime;
+        for (const name of Object.keys(values)) {
+            this.transformNode.parameters.get(name).setTargetAtTime(this.transform[name], now, 0.01);
+        }
+    }
+
+    // Load the transform worklet and insert it between the inputs and gains
+    async startTransformWorklet() {
+        const workletUrl = new URL('../worklets/transform-processor.js', import.meta.url);
+        await this.audioContext.audioWorklet.addModule(workletUrl);
+
+        const node = new AudioWorkletNode(this.audioContext, 'transform-processor', {
+            numberOfInputs: 2,
+            numberOfOutputs: 2,
+            outputChannelCount: [1, 1],
+            channelCount: 1,
+            channelCountMode: 'explicit'
+        });
+        for (const [name, value] of Object.entries(this.transform)) {
+            node.parameters.get(name).value = value;
+        }
+
+        // Input 0/output 0 = X, input 1/output 1 = Y
+        this.leftInput.disconnect();
+        this.rightInput.disconnect();
+        this.leftInput.connect(node, 0, 0);
+        this.rightInput.connect(node, 0, 1);
+        node.connect(this.leftGain, 0);
+        node.connect(this.rightGain, 1);
+        this.transformNode = node;
+    }
+
+    // === External stereo sources ===
+
+    /**
+     * Route an external stereo node into the output chain (transform → gains →
+     * analysers → destination), with swap/invert/offset applied.
+     * Stops any tab-generated output so the two don't mix.
+     * @param {AudioNode} sourceNode
+     * @returns {StereoRouting} Call disconnectStereoSource() with it when done
+     */
+    connectStereoSource(sourceNode) {
+        this.initialize();
+        this._audioGeneration++;
+        this.silenceGenerators();
+
+        const routing = new StereoRouting(this.audioContext, sourceNode, this.leftInput, this.rightInput);
+        this.stereoRoutings.add(routing);
+        return routing;
+    }
+
+    disconnectStereoSource(routing) {
+        if (!routing || !this.stereoRoutings.has(routing)) return;
+        routing.disconnect();
+        this.stereoRoutings.delete(routing);
+    }
+
+    // === Recording ===
+
+    /**
+     * Tap the stereo output (after the volume) as a MediaStream, for
+     * recording it along with the oscilloscope screen.
+     * @returns {{ stream: MediaStream, merger: ChannelMergerNode, destination: MediaStreamAudioDestinationNode }}
+     *          Call disconnectRecordingTap() with it when done
+     */
+    connectRecordingTap() {
+        this.initialize();
+        const merger = this.audioContext.createChannelMerger(2);
+        const destination = this.audioContext.createMediaStreamDestination();
+        this.leftAnalyser.connect(merger, 0, 0);
+        this.rightAnalyser.connect(merger, 0, 1);
+        merger.connect(destination);
+        return { stream: destination.stream, merger, destination };
+    }
+
+    disconnectRecordingTap(tap) {
+        if (!tap) return;
+        this.leftAnalyser.disconnect(tap.merger);
+        this.rightAnalyser.disconnect(tap.merger);
+        tap.merger.disconnect();
+        tap.stream.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * Set how points mode switches between frames.
+     * @param {string} mode - 'cut', 'cycle' or 'travel'
+     * @param {number} slewRate - Travel speed in normalized units per sample
+     */
+    setPointsTransition(mode, slewRate) {
+        this.pointsTransition = { mode, slewRate: parseFloat(slewRate) };
+        this.pointsWorkletNode?.port.postMessage({ type: 'transition', ...this.pointsTransition });
     }
 
     // === AudioWorklet for points mode ===
@@ -164,14 +358,17 @@ export class AudioEngine {
 
         this.pointsWorkletNode = new AudioWorkletNode(this.audioContext, 'points-processor', {
             numberOfInputs: 0,
-            numberOfOutputs: 2,
-            outputChannelCount: [1, 1]
+            numberOfOutputs: 3,
+            outputChannelCount: [1, 1, 1]
         });
 
-        // Connect worklet outputs directly to gain nodes (no splitter needed)
-        // Output 0 = X → left channel, Output 1 = Y → right channel
-        this.pointsWorkletNode.connect(this.leftGain, 0);
-        this.pointsWorkletNode.connect(this.rightGain, 1);
+        // Connect worklet outputs directly to the inputs (no splitter needed)
+        // Output 0 = X → left channel, Output 1 = Y → right channel, Output 2 = Z
+        this.pointsWorkletNode.connect(this.leftInput, 0);
+        this.pointsWorkletNode.connect(this.rightInput, 1);
+        this.pointsWorkletNode.connect(this.zGain, 2);
+
+        this.pointsWorkletNode.port.postMessage({ type: 'transition', ...this.pointsTransition });
     }
 
     // Stop the worklet node
@@ -196,22 +393,13 @@ export class AudioEngine {
 
         // Stop points worklet if it was running
         this.stopPointsWorklet();
+        this.stopZOscillator();
 
         const oldLeftOscillator = this.leftOscillator;
         const oldRightOscillator = this.rightOscillator;
         this.leftOscillator = null;
         this.rightOscillator = null;
 
-        // Apply rotation
-        const rad = this.currentRotation * Math.PI / 180;
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-
-        const rotated = points.map(([x, y]) => [
-            x * cos - y * sin,
-            x * sin + y * cos
-        ]);
-
         const sampleRate = this.audioContext.sampleRate;
         const duration = 1 / this.baseFrequency;
         const bufferSize = Math.ceil(sampleRate * duration);
@@ -225,13 +413,13 @@ export class AudioEngine {
         // Interpolate points into buffer
         for (let i = 0; i < bufferSize; i++) {
             const t = i / bufferSize;
-            const pointIndex = t * rotated.length;
+            const pointIndex = t * points.length;
             const index1 = Math.floor(pointIndex);
-            const index2 = Math.min(index1 + 1, rotated.length - 1);
+            const index2 = Math.min(index1 + 1, points.length - 1);
             const frac = pointIndex - index1;
 
-            leftData[i] = rotated[index1][0] * (1 - frac) + rotated[index2][0] * frac;
-            rightData[i] = rotated[index1][1] * (1 - frac) + rotated[index2][1] * frac;
+            leftData[i] = points[index1][0] * (1 - frac) + points[index2][0] * frac;
+            rightData[i] = points[index1][1] * (1 - frac) + points[index2][1] * frac;
         }
 
         this.leftOscillator = this.audioContext.createBufferSource();
@@ -240,8 +428,8 @@ export class AudioEngine {
         this.rightOscillator.buffer = rightBuffer;
         this.leftOscillator.loop = true;
         this.rightOscillator.loop = true;
-        this.leftOscillator.connect(this.leftGain);
-        this.rightOscillator.connect(this.rightGain);
+        this.leftOscillator.connect(this.leftInput);
+        this.rightOscillator.connect(this.rightInput);
 
         if (oldLeftOscillator) oldLeftOscillator.stop();
         if (oldRightOscillator) oldRightOscillator.stop();
@@ -254,9 +442,10 @@ export class AudioEngine {
 
     /**
      * Play a pre-processed frequency mode frame.
-     * Receives left/right Float32Arrays already rotated and resampled.
+     * Receives left/right Float32Arrays already resampled,
+     * and an optional blanking mask of the same length for the Z channel.
      */
-    playProcessedFrequencyFrame(leftData, rightData) {
+    playProcessedFrequencyFrame(leftData, rightData, blanking = null) {
         if (!this.audioContext || !get(this.isPlaying)) return;
 
         this._audioGeneration++;
@@ -285,22 +474,37 @@ export class AudioEngine {
         this.leftOscillator.loop = true;
         this.rightOscillator.loop = true;
 
-        this.leftOscillator.connect(this.leftGain);
-        this.rightOscillator.connect(this.rightGain);
+        this.leftOscillator.connect(this.leftInput);
+        this.rightOscillator.connect(this.rightInput);
+
+        // Z channel loops alongside X/Y so blanking stays aligned
+        const oldZOscillator = this.zOscillator;
+        this.zOscillator = null;
+        if (blanking && this.zOutput.enabled) {
+            const zBuffer = this.audioContext.createBuffer(1, bufferSize, sampleRate);
+            zBuffer.getChannelData(0).set(blanking);
+            this.zOscillator = this.audioContext.createBufferSource();
+            this.zOscillator.buffer = zBuffer;
+            this.zOscillator.loop = true;
+            this.zOscillator.connect(this.zGain);
+        }
 
         // Stop old oscillators right before starting new ones
         if (oldLeftOscillator) oldLeftOscillator.stop();
         if (oldRightOscillator) oldRightOscillator.stop();
+        if (oldZOscillator) oldZOscillator.stop();
 
         this.leftOscillator.start();
         this.rightOscillator.start();
+        this.zOscillator?.start();
     }
 
     /**
      * Play a pre-processed points mode frame.
-     * Receives interleaved Float32Array [x0,y0,x1,y1,...] already rotated and resampled.
+     * Receives interleaved Float32Array [x0,y0,x1,y1,...] already resampled,
+     * and an optional per-point blanking mask for the Z channel.
      */
-    async playProcessedPointsFrame(interleavedData) {
+    async playProcessedPointsFrame(interleavedData, blanking = null) {
         if (!this.audioContext || !get(this.isPlaying)) return;
 
         const gen = ++this._audioGeneration;
@@ -314,6 +518,7 @@ export class AudioEngine {
             this.rightOscillator.stop();
             this.rightOscillator = null;
         }
+        this.stopZOscillator();
 
         await this.startPointsWorklet();
 
@@ -323,9 +528,10 @@ export class AudioEngine {
         if (!this.pointsWorkletNode) return;
 
         // Send pre-processed data directly to worklet
+        const zBlanking = this.zOutput.enabled ? blanking : null;
         this.pointsWorkletNode.port.postMessage(
-            { type: 'points', data: interleavedData },
-            [interleavedData.buffer]
+            { type: 'points', data: interleavedData, blanking: zBlanking },
+            zBlanking ? [interleavedData.buffer, zBlanking.buffer] : [interleavedData.buffer]
         );
     }
 
@@ -40,6 +40,12 @@ export class FrameProcessor {
         this.processedPointCount = 0;
         /** Processed segment count */
         this.processedSegmentCount = 0;
+        /** Point count of the raw frame, and after simplification */
+        this.sourcePointCount = 0;
+        this.simplifiedPointCount = 0;
+        /** Beam travel between segments before and after order optimisation */
+        this.travelBefore = 0;
+        this.travelAfter = 0;
 
         /** @type {((data: object) => void) | null} */
         this.onFrameReady = null;
@@ -47,11 +53,27 @@ export class FrameProcessor {
         /** @type {(() => void) | null} Called when processedPreview updates (including from settings changes) */
         this.onPreviewUpdate = null;
 
+        /** Promise callbacks ({ resolve, reject }) for frames requested via renderFrame(), keyed by id */
+        this.pendingRenders = new Map();
+
+        // A worker that fails won't answer: fail the renders waiting on it
+        this.worker.onerror = (e) => {
+            this.rejectPendingRenders(new Error(e.message || 'Frame processor failed'));
+        };
+
         this.worker.onmessage = (e) => {
             const msg = e.data;
             if (msg.type === 'ready') {
                 this.ready = true;
             } else if (msg.type === 'frameReady') {
+                // Frames requested via renderFrame() bypass the live callbacks
+                const pending = this.pendingRenders.get(msg.id);
+                if (pending) {
+                    this.pendingRenders.delete(msg.id);
+                    pending.resolve(msg);
+                    return;
+                }
+
                 // Discard stale frames (from before a newer request)
                 if (msg.id < this.latestSentId) return;
 
@@ -67,6 +89,10 @@ export class FrameProcessor {
                 this.processedSegmentCount = msg.segmentOffsets
                     ? msg.segmentOffsets.length - 1
                     : 0;
+                this.sourcePointCount = msg.sourcePointCount || 0;
+                this.simplifiedPointCount = msg.simplifiedPointCount || 0;
+                this.travelBefore = msg.travelBefore || 0;
+                this.travelAfter = msg.travelAfter || 0;
 
                 this.onPreviewUpdate?.();
                 this.onFrameReady?.(msg);
@@ -74,6 +100,15 @@ export class FrameProcessor {
         };
     }
 
+    /**
+     * Length of the frame that is playing, in samples. The generator repeats
+     * it, so this many samples draw the whole frame exactly once.
+     * @returns {number} 0 when no frame is playing (or after a tab switch)
+     */
+    get frameLength() {
+        return this.processedPointCount;
+    }
+
     /**
      * Send raw segments for processing.
      * @param {Array} segments - Array of segments: [[[x,y], ...], ...]
@@ -90,6 +125,27 @@ export class FrameProcessor {
         });
     }
 
+    /**
+     * Process raw segments and resolve with the resulting frame instead of
+     * delivering it through onFrameReady. Used for offline rendering.
+     * @param {Array} segments - Array of segments: [[[x,y], ...], ...]
+     * @returns {Promise<object>} The worker's frameReady message; rejects
+     *   when the worker fails or is destroyed first
+     */
+    renderFrame(segments) {
+        this.frameId++;
+        const id = this.frameId;
+        const plain = segments.map(seg => seg.map(pt => [pt[0], pt[1]]));
+        return new Promise((resolve, reject) => {
+            this.pendingRenders.set(id, { resolve, reject });
+            this.worker.postMessage({
+                type: 'processFrame',
+                segments: plain,
+                id
+            });
+        });
+    }
+
     /**
      * Update processing settings.
      * @param {object} newSettings - Partial settings to merge
@@ -108,10 +164,22 @@ export class FrameProcessor {
         this.worker.postMessage({ type: 'resetBeamPosition' });
     }
 
+    /**
+     * Reject every render that is still waiting for the worker.
+     * @param {Error} error
+     */
+    rejectPendingRenders(error) {
+        for (const { reject } of this.pendingRenders.values()) {
+            reject(error);
+        }
+        this.pendingRenders.clear();
+    }
+
     /**
      * Terminate the worker.
      */
     destroy() {
         this.worker.terminate();
+        this.rejectPendingRenders(new Error('Frame processor destroyed'));
     }
 }
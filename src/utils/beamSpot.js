@@ -0,0 +1,65 @@
+/**
+ * Beam spot shape
+ *
+ * A correctly adjusted tube focuses the beam to a round spot. Astigmatism
+ * (the ASTIG control) stretches it into an ellipse: the round spot scaled by
+ * `ratio` along the axis at `angle`. Both renderers draw the trace with this
+ * elliptical pen.
+ *
+ * The shape is a symmetric 2x2 matrix [a, b, b, d] that turns the round
+ * spot into the elliptical one, in screen coordinates (y down).
+ */
+
+/**
+ * Matrix that stretches the round spot into the astigmatic one
+ * @param {number} ratio - Major to minor axis (1 = round)
+ * @param {number} angle - Direction of the major axis in degrees, counterclockwise from horizontal
+ * @returns {{a: number, b: number, d: number}|null} null when the spot is round
+ */
+export function spotMatrix(ratio, angle) {
+    if (!(ratio > 1)) return null;
+
+    // Stretch by ratio along u: I + (ratio - 1) u uᵀ
+    const radians = angle * Math.PI / 180;
+    const ux = Math.cos(radians);
+    const uy = -Math.sin(radians); // screen y points down
+    const stretch = ratio - 1;
+    return {
+        a: 1 + stretch * ux * ux,
+        b: stretch * ux * uy,
+        d: 1 + stretch * uy * uy
+    };
+}
+
+/**
+ * Inverse of a spot matrix: maps the screen into the space where the spot is round
+ * @param {{a: number, b: number, d: number}} spot
+ * @returns {{a: number, b: number, d: number}}
+ */
+export function invertSpot({ a, b, d }) {
+    const det = a * d - b * b;
+    return { a: d / det, b: -b / det, d: a / det };
+}
+
+/**
+ * Edge of a thick line drawn with the spot: the point of the spot furthest
+ * along the line's normal. For a round spot this is the normal itself.
+ * @param {{a: number, b: number, d: number}|null} spot
+ * @param {number} nx - Unit normal of the line
+ * @param {number} ny
+ * @param {number} radius - Radius of the round spot
+ * @returns {[number, number]} Offset from the line's centre to its edge
+ */
+export function spotEdge(spot, nx, ny, radius) {
+    if (!spot) return [nx * radius, ny * radius];
+
+    // Support point of the ellipse M·disk in direction n: M (M n) / |M n|
+    const { a, b, d } = spot;
+    const mx = a * nx + b * ny;
+    const my = b * nx + d * ny;
+    const length = Math.sqrt(mx * mx + my * my);
+    return [
+        (a * mx + b * my) / length * radius,
+        (b * mx + d * my) / length * radius
+    ];
+}
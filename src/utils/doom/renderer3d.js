@@ -3,6 +3,8 @@
  * Optimized version with object pooling and reduced allocations
  */
 
+import { optimizeTour } from '../tourOptimizer.js';
+
 // Configurable settings with defaults
 let settings = {
     maxRenderDistance: 1000,
@@ -1243,47 +1245,18 @@ export function deduplicateLines(lines, threshold = 1000) {
 }
 
 /**
- * Optimize line order (greedy nearest neighbor)
+ * Optimize line order to minimize beam travel (see tourOptimizer.js)
+ * @param {Array<{start:[number,number], end:[number,number]}>} lines
+ * @param {number} [timeBudget=8] - Milliseconds to spend beyond the greedy pass
  */
-export function optimizeLineOrder(lines) {
+export function optimizeLineOrder(lines, timeBudget = 8) {
     if (lines.length <= 1) return lines;
 
-    const result = [];
-    const used = new Uint8Array(lines.length);
-    let lastEnd = lines[0].end;
-    result.push(lines[0]);
-    used[0] = 1;
-
-    for (let n = 1; n < lines.length; n++) {
-        let bestIdx = -1;
-        let bestDist = Infinity;
-        let reverse = false;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (used[i]) continue;
-
-            const line = lines[i];
-            const ds = (line.start[0] - lastEnd[0]) ** 2 + (line.start[1] - lastEnd[1]) ** 2;
-            const de = (line.end[0] - lastEnd[0]) ** 2 + (line.end[1] - lastEnd[1]) ** 2;
-
-            if (ds < bestDist) { bestDist = ds; bestIdx = i; reverse = false; }
-            if (de < bestDist) { bestDist = de; bestIdx = i; reverse = true; }
-        }
-
-        if (bestIdx >= 0) {
-            used[bestIdx] = 1;
-            const line = lines[bestIdx];
-            if (reverse) {
-                result.push({ start: line.end, end: line.start });
-                lastEnd = line.start;
-            } else {
-                result.push(line);
-                lastEnd = line.end;
-            }
-        }
-    }
-
-    return result;
+    const { order, reversed } = optimizeTour(lines.map(line => [line.start, line.end]), { timeBudget });
+    return Array.from(order, (index, k) => {
+        const line = lines[index];
+        return reversed[k] ? { start: line.end, end: line.start } : line;
+    });
 }
 
 /**
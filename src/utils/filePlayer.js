@@ -0,0 +1,211 @@
+/**
+ * FilePlayer — plays a decoded stereo audio file (oscilloscope music)
+ * through the generator's output chain.
+ *
+ * The file is routed with AudioEngine.connectStereoSource(), so generator
+ * rotation, volume and the analysers behave the same as for the other tabs,
+ * and X/Y swap and invert are applied by the StereoRouting.
+ *
+ * AudioBufferSourceNodes are single-use, so every play or seek starts a new
+ * one at the requested offset. Position is derived from the context clock.
+ */
+export class FilePlayer {
+    /**
+     * @param {AudioEngine} audioEngine
+     */
+    constructor(audioEngine) {
+        this.audioEngine = audioEngine;
+        this.buffer = null;
+        this.loop = false;
+        this.playing = false;
+        this.swap = false;
+        this.invertX = false;
+        this.invertY = false;
+
+        this.source = null;
+        this.input = null;
+        this.routing = null;
+        this.offset = 0;     // Position (s) when paused, or when the current source started
+        this.startedAt = 0;  // Context time the current source started
+
+        this.onEnded = null;
+    }
+
+    get duration() {
+        return this.buffer?.duration ?? 0;
+    }
+
+    /**
+     * Current playback position in seconds.
+     */
+    get position() {
+        if (!this.playing) return this.offset;
+        const elapsed = this.audioEngine.audioContext.currentTime - this.startedAt + this.offset;
+        return this.loop ? elapsed % this.duration : Math.min(elapsed, this.duration);
+    }
+
+    /**
+     * Decode a file. Stops playback of the previous file.
+     * @param {File|Blob} file
+     * @returns {Promise<AudioBuffer>}
+     */
+    async load(file) {
+        this.audioEngine.initialize();
+        const data = await file.arrayBuffer();
+        const buffer = await this.audioEngine.audioContext.decodeAudioData(data);
+
+        this.stop();
+        this.buffer = buffer;
+        return buffer;
+    }
+
+    play() {
+        if (!this.buffer || this.playing) return;
+        if (this.offset >= this.duration) this.offset = 0;
+
+        this.connect();
+
+        const context = this.audioEngine.audioContext;
+        const source = context.createBufferSource();
+        source.buffer = this.buffer;
+        source.loop = this.loop;
+        source.connect(this.input);
+        source.onended = () => {
+            // Only the current source counts; replaced ones end on stop()
+            if (source !== this.source) return;
+            this.source = null;
+            this.playing = false;
+            this.offset = 0;
+            this.onEnded?.();
+        };
+
+        this.source = source;
+        this.startedAt = context.currentTime;
+        this.playing = true;
+        source.start(0, this.offset);
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.offset = this.position;
+        this.stopSource();
+    }
+
+    stop() {
+        this.stopSource();
+        this.offset = 0;
+    }
+
+    /**
+     * @param {number} seconds - Position to continue from
+     */
+    seek(seconds) {
+        const wasPlaying = this.playing;
+        this.stopSource();
+        this.offset = Math.max(0, Math.min(seconds, this.duration));
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * @param {boolean} loop - Restart at the beginning when the end is reached
+     */
+    setLoop(loop) {
+        if (this.playing) {
+            // Rebase so the position stays continuous when the wrap stops applying
+            this.offset = this.position;
+            this.startedAt = this.audioEngine.audioContext.currentTime;
+            this.source.loop = loop;
+        }
+        this.loop = loop;
+    }
+
+    setSwap(swap) {
+        this.swap = swap;
+        this.routing?.setSwap(swap);
+    }
+
+    setInvert(invertX, invertY) {
+        this.invertX = invertX;
+        this.invertY = invertY;
+        this.routing?.setInvert(invertX, invertY);
+    }
+
+    /**
+     * Stop playback and remove the file from the output chain. The decoded
+     * file is kept, so playback can be started again.
+     */
+    release() {
+        this.pause();
+        if (this.routing) {
+            this.audioEngine.disconnectStereoSource(this.routing);
+            this.routing = null;
+        }
+        if (this.input) {
+            this.input.disconnect();
+            this.input = null;
+        }
+    }
+
+    connect() {
+        if (this.routing) return;
+        const context = this.audioEngine.audioContext;
+
+        // Mono files are upmixed so they drive both X and Y
+        this.input = context.createGain();
+        this.input.channelCount = 2;
+        this.input.channelCountMode = 'explicit';
+        this.input.channelInterpretation = 'speakers';
+
+        this.routing = this.audioEngine.connectStereoSource(this.input);
+        this.routing.setSwap(this.swap);
+        this.routing.setInvert(this.invertX, this.invertY);
+    }
+
+    stopSource() {
+        if (this.source) {
+            const source = this.source;
+            this.source = null;
+            source.stop();
+            source.disconnect();
+        }
+        this.playing = false;
+    }
+}
+
+/**
+ * Min/max envelope of the X and Y channels for drawing a waveform overview.
+ *
+ * @param {AudioBuffer} buffer
+ * @param {number} columns - Number of overview columns
+ * @returns {{ x: Float32Array, y: Float32Array }} Interleaved [min, max] per column
+ */
+export function computeOverview(buffer, columns) {
+    const left = buffer.getChannelData(0);
+    const right = buffer.numberOfChannels > 1 ? buffer.getChannelData(1) : left;
+
+    return {
+        x: envelope(left, columns),
+        y: envelope(right, columns)
+    };
+}
+
+function envelope(data, columns) {
+    const result = new Float32Array(columns * 2);
+    const step = data.length / columns;
+
+    for (let c = 0; c < columns; c++) {
+        const start = Math.floor(c * step);
+        const end = Math.max(start + 1, Math.floor((c + 1) * step));
+        let min = 1;
+        let max = -1;
+        for (let i = start; i < end && i < data.length; i++) {
+            const v = data[i];
+            if (v < min) min = v;
+            if (v > max) max = v;
+        }
+        result[c * 2] = min;
+        result[c * 2 + 1] = max;
+    }
+
+    return result;
+}
@@ -0,0 +1,123 @@
+/**
+ * Automatic measurements for the virtual oscilloscope.
+ *
+ * Works on raw analyser samples (Web Audio samples, before the simulated
+ * noise and amplifier bandwidth), so the results don't depend on the
+ * display settings beyond which samples the caller passes in. Volts use the
+ * same calibration as the AMPL/DIV control: a Web Audio sample of ±1.0 is
+ * ±1.5 V.
+ */
+
+// Measured: Web Audio ±1.0 corresponds to ~3Vpp (±1.5V) at full volume
+export const VOLTAGE_CALIBRATION = 1.5;
+
+// Signals with less than this peak-to-peak (in samples) are treated as flat
+const MIN_AMPLITUDE = 0.005;
+
+// Crossings need to clear this fraction of peak-to-peak around the mean,
+// so noise on a slow edge doesn't count as extra periods
+const HYSTERESIS = 0.1;
+
+/**
+ * Measure one channel.
+ *
+ * @param {ArrayLike<number>} data - Analyser samples
+ * @param {number} sampleRate
+ * @returns {{ frequency: number|null, period: number|null, vpp: number, vrms: number, mean: number }}
+ *          Frequency in Hz and period in seconds (null without a stable
+ *          period), voltages in volts
+ */
+export function measureChannel(data, sampleRate) {
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let sumSquares = 0;
+
+    for (let i = 0; i < data.length; i++) {
+        const v = data[i];
+        if (v < min) min = v;
+        if (v > max) max = v;
+        sum += v;
+        sumSquares += v * v;
+    }
+
+    const n = Math.max(1, data.length);
+    const mean = sum / n;
+    const crossings = findRisingCrossings(data, mean, max - min);
+
+    let frequency = null;
+    if (crossings.length >= 2) {
+        const samples = crossings[crossings.length - 1] - crossings[0];
+        frequency = (crossings.length - 1) * sampleRate / samples;
+    }
+
+    return {
+        frequency,
+        period: frequency ? 1 / frequency : null,
+        vpp: (max - min) * VOLTAGE_CALIBRATION,
+        vrms: Math.sqrt(sumSquares / n) * VOLTAGE_CALIBRATION,
+        mean: mean * VOLTAGE_CALIBRATION
+    };
+}
+
+/**
+ * Phase of channel B relative to channel A at a given frequency, from the
+ * fundamental of both (I/Q demodulation over whole periods), so harmonics
+ * and noise have little effect.
+ *
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @param {number} sampleRate
+ * @param {number|null} frequency - Usually channel A's measured frequency
+ * @returns {number|null} Degrees in -180..180; positive when B lags A
+ */
+export function measurePhase(a, b, sampleRate, frequency) {
+    if (!frequency) return null;
+
+    const periodSamples = sampleRate / frequency;
+    const periods = Math.floor(Math.min(a.length, b.length) / periodSamples);
+    if (periods < 1) return null;
+
+    const length = Math.floor(periods * periodSamples);
+    const step = 2 * Math.PI / periodSamples;
+    let aI = 0, aQ = 0, bI = 0, bQ = 0;
+
+    for (let i = 0; i < length; i++) {
+        const c = Math.cos(step * i);
+        const s = Math.sin(step * i);
+        aI += a[i] * c;
+        aQ += a[i] * s;
+        bI += b[i] * c;
+        bQ += b[i] * s;
+    }
+
+    if (Math.hypot(aI, aQ) < 1e-9 || Math.hypot(bI, bQ) < 1e-9) return null;
+
+    let degrees = (Math.atan2(bQ, bI) - Math.atan2(aQ, aI)) * 180 / Math.PI;
+    if (degrees > 180) degrees -= 360;
+    if (degrees < -180) degrees += 360;
+    return degrees;
+}
+
+/**
+ * Sample positions (fractional) where the signal rises through its mean.
+ */
+function findRisingCrossings(data, mean, peakToPeak) {
+    const crossings = [];
+    if (peakToPeak < MIN_AMPLITUDE) return crossings;
+
+    const low = mean - peakToPeak * HYSTERESIS;
+    let armed = false;
+
+    for (let i = 1; i < data.length; i++) {
+        if (data[i] < low) {
+            armed = true;
+        } else if (armed && data[i - 1] < mean && data[i] >= mean) {
+            // Interpolate between the two samples for sub-sample accuracy
+            crossings.push(i - 1 + (mean - data[i - 1]) / (data[i] - data[i - 1]));
+            armed = false;
+        }
+    }
+
+    return crossings;
+}
@@ -0,0 +1,273 @@
+/**
+ * Media Input Helper
+ * Feeds the scope from media instead of the microphone: an audio or video
+ * file, a pasted <audio> URL, or the audio of another browser tab.
+ *
+ * Provides the same analysers as MicrophoneInput (left = A, right = B), so
+ * the visualiser treats every external input alike. Media is always read as
+ * stereo: a mono source drives both channels.
+ */
+
+export class MediaInput {
+    constructor() {
+        this.audioContext = null;
+        this.element = null;
+        this.stream = null;
+        this.source = null;
+        this.analyserLeft = null;
+        this.analyserRight = null;
+        this.objectUrl = null;
+        this.fftSize = 16384;
+
+        // Bumped by stop(), so a start that is still loading can tell it
+        // was cancelled or replaced
+        this.generation = 0;
+
+        // Called when a captured tab stops sharing
+        this.onEnded = null;
+    }
+
+    /**
+     * Play an audio or video file through the scope
+     * @param {File|Blob} file
+     * @returns {Promise<HTMLAudioElement|null>} The element, for the transport
+     *   controls, or null when stopped while loading
+     */
+    async startFile(file) {
+        this.stop();
+        this.objectUrl = URL.createObjectURL(file);
+        return this.startElement(this.objectUrl, false);
+    }
+
+    /**
+     * Play a URL through the scope. The server must allow cross-origin
+     * requests (CORS), otherwise the audio can't be analysed.
+     * @param {string} url
+     * @returns {Promise<HTMLAudioElement|null>} The element, for the transport
+     *   controls, or null when stopped while loading
+     */
+    async startUrl(url) {
+        this.stop();
+        return this.startElement(url, true);
+    }
+
+    async startElement(src, crossOrigin) {
+        const element = new Audio();
+        if (crossOrigin) element.crossOrigin = 'anonymous';
+        element.preload = 'auto';
+        element.src = src;
+        const generation = this.generation;
+
+        try {
+            // Wait for the media to be playable, so load errors surface here
+            await new Promise((resolve, reject) => {
+                element.addEventListener('canplay', resolve, { once: true });
+                element.addEventListener('error', () => reject(element.error ?? new Error('Could not load media')), { once: true });
+            });
+
+            // Stopped (or replaced by other media) while loading
+            if (generation !== this.generation) {
+                release(element);
+                return null;
+            }
+
+            this.element = element;
+            this.connect(this.getContext().createMediaElementSource(element));
+
+            // The element's output is redirected to the analysers; keep it audible
+            this.source.connect(this.audioContext.destination);
+
+            await element.play();
+            return element;
+        } catch (error) {
+            if (generation !== this.generation) {
+                // Already cleaned up by the stop() that cancelled it
+                release(element);
+                return null;
+            }
+            console.error('Error loading media:', error);
+            this.stop(); // Clean up any partial initialization
+            throw error;
+        }
+    }
+
+    /**
+     * Capture the audio of another browser tab. Must be called from a user
+     * gesture; the browser asks which tab to share.
+     * @returns {Promise<MediaStreamTrack|null>} The captured audio track, or
+     *   null when stopped while the browser was asking
+     */
+    async startTabCapture() {
+        this.stop();
+        const generation = this.generation;
+
+        try {
+            // A video track is required by the API; only the audio is used
+            const stream = await navigator.mediaDevices.getDisplayMedia({
+                video: true,
+                audio: {
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                },
+                preferCurrentTab: false,
+                selfBrowserSurface: 'exclude'
+            });
+
+            // Stopped (or replaced by other media) while the picker was open
+            if (generation !== this.generation) {
+                stream.getTracks().forEach(track => track.stop());
+                return null;
+            }
+
+            this.stream = stream;
+            this.stream.getVideoTracks().forEach(track => track.stop());
+
+            const track = this.stream.getAudioTracks()[0];
+            if (!track) {
+                throw new Error('No audio shared. Choose a tab and turn on "Share tab audio".');
+            }
+
+            track.addEventListener('ended', () => {
+                this.stop();
+                this.onEnded?.();
+            });
+
+            this.connect(this.getContext().createMediaStreamSource(this.stream));
+            return track;
+        } catch (error) {
+            if (generation !== this.generation) return null;
+            console.error('Error capturing tab audio:', error);
+            this.stop(); // Clean up any partial initialization
+            throw error;
+        }
+    }
+
+    getContext() {
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+        }
+        return this.audioContext;
+    }
+
+    /**
+     * Split a source into the A and B analysers
+     * @param {AudioNode} source
+     */
+    connect(source) {
+        this.source = source;
+
+        // Up-mix mono to both channels before splitting
+        const stereo = this.audioContext.createGain();
+        stereo.channelCount = 2;
+        stereo.channelCountMode = 'explicit';
+        stereo.channelInterpretation = 'speakers';
+        source.connect(stereo);
+
+        const splitter = this.audioContext.createChannelSplitter(2);
+        stereo.connect(splitter);
+
+        this.analyserLeft = this.audioContext.createAnalyser();
+        this.analyserLeft.fftSize = this.fftSize;
+        splitter.connect(this.analyserLeft, 0);
+
+        this.analyserRight = this.audioContext.createAnalyser();
+        this.analyserRight.fftSize = this.fftSize;
+        splitter.connect(this.analyserRight, 1);
+    }
+
+    /**
+     * Stop the media and clean up resources
+     */
+    stop() {
+        this.generation++;
+
+        if (this.element) {
+            release(this.element);
+            this.element = null;
+        }
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+
+        // An element can only be connected to one source node ever, so the
+        // context is closed and a new one made for the next media
+        if (this.audioContext) {
+            this.audioContext.close();
+            this.audioContext = null;
+        }
+
+        this.source = null;
+        this.analyserLeft = null;
+        this.analyserRight = null;
+    }
+
+    /**
+     * Check if media is currently connected
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.source !== null && this.audioContext !== null;
+    }
+
+    /**
+     * Get current audio context
+     * @returns {AudioContext|null}
+     */
+    getAudioContext() {
+        return this.audioContext;
+    }
+
+    /**
+     * Get left channel analyser
+     * @returns {AnalyserNode|null}
+     */
+    getAnalyserLeft() {
+        return this.analyserLeft;
+    }
+
+    /**
+     * Get right channel analyser
+     * @returns {AnalyserNode|null}
+     */
+    getAnalyserRight() {
+        return this.analyserRight;
+    }
+
+    /**
+     * Media has no Z (intensity) channel
+     * @returns {null}
+     */
+    getAnalyserZ() {
+        return null;
+    }
+
+    /**
+     * Get all analysers
+     * @returns {Object} Object containing analyserLeft, analyserRight and analyserZ
+     */
+    getAnalysers() {
+        return {
+            analyserLeft: this.analyserLeft,
+            analyserRight: this.analyserRight,
+            analyserZ: null
+        };
+    }
+}
+
+/**
+ * Stop a media element and let go of its media
+ * @param {HTMLMediaElement} element
+ */
+function release(element) {
+    element.pause();
+    element.removeAttribute('src');
+    element.load();
+}
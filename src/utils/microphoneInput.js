@@ -1,27 +1,65 @@
 /**
  * Microphone Input Helper
- * Manages microphone access, audio context, and stereo channel analysers
+ * Manages microphone access, audio context, and stereo channel analysers,
+ * plus a Z (intensity) analyser for multichannel inputs.
+ *
+ * Any two input channels can be mapped to A and B. Each passes through an
+ * optional DC blocking filter and an input gain stage before its analyser.
+ * Another channel (the third by default) can be mapped to Z; a channel that
+ * already drives A or B is never used as Z as well.
  */
 
+// Cutoff of the DC blocking filter, well below anything worth looking at
+const DC_BLOCK_FREQUENCY = 5; // Hz
+
+// Raw input level that counts as clipping at the converter
+const CLIP_LEVEL = 0.99;
+
+// Samples kept by the clip detectors: enough to cover the time between checks
+const CLIP_BUFFER_SIZE = 8192;
+
 export class MicrophoneInput {
     constructor() {
         this.stream = null;
         this.audioContext = null;
         this.analyserLeft = null;
         this.analyserRight = null;
+        this.analyserZ = null; // zNode while a channel is mapped to Z, else null
+        this.zNode = null;
         this.source = null;
+        this.splitter = null;
+        this.channelCount = 0;
+
+        // Per channel (A, B): DC blocking filter, gain and raw clip detector
+        this.filters = [];
+        this.gains = [];
+        this.clipAnalysers = [];
+        this.clipBuffer = null;
+
+        // Input settings, kept across restarts
+        this.channels = [0, 1];
+        this.zChannel = 2; // -1 = no Z
+        this.gain = 1;
+        this.dcBlock = false;
+
+        // Bumped by stop(), so a start still waiting for permission can tell
+        // it was cancelled or replaced
+        this.generation = 0;
     }
 
     /**
      * Start microphone input with stereo channel separation
      * @param {Object} options - Configuration options
+     * @param {string|null} options.deviceId - Input device (default: the system default)
      * @param {number} options.fftSize - FFT size for analysers (default: 16384)
      * @param {boolean} options.echoCancellation - Enable echo cancellation (default: false)
      * @param {boolean} options.noiseSuppression - Enable noise suppression (default: false)
      * @param {boolean} options.autoGainControl - Enable auto gain control (default: false)
-     * @returns {Promise<Object>} Object containing audioContext, analyserLeft, analyserRight
+     * @returns {Promise<Object|null>} Object containing audioContext, analyserLeft, analyserRight, analyserZ,
+     *   or null when stopped while waiting for permission
      */
     async start({
+        deviceId = null,
         fftSize = 16384,
         echoCancellation = false,
         noiseSuppression = false,
@@ -29,53 +67,177 @@ export class MicrophoneInput {
     } = {}) {
         // Stop any existing stream first
         this.stop();
+        const generation = this.generation;
 
         try {
             // Request microphone access
-            this.stream = await navigator.mediaDevices.getUserMedia({
+            const stream = await navigator.mediaDevices.getUserMedia({
                 audio: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
                     echoCancellation,
                     noiseSuppression,
-                    autoGainControl
+                    autoGainControl,
+                    // Multichannel interfaces can map any of their inputs to A
+                    // and B, and carry Z on the third channel
+                    channelCount: { ideal: 8 }
                 }
             });
 
+            // Stopped (or started again) while the browser was asking
+            if (generation !== this.generation) {
+                stream.getTracks().forEach(track => track.stop());
+                return null;
+            }
+            this.stream = stream;
+
             // Create audio context
             this.audioContext = new AudioContext();
             this.source = this.audioContext.createMediaStreamSource(this.stream);
 
-            // Create stereo splitter
-            const splitter = this.audioContext.createChannelSplitter(2);
-            this.source.connect(splitter);
+            this.channelCount = this.stream.getAudioTracks()[0]?.getSettings().channelCount ?? 2;
 
-            // Create analysers for left channel
+            // Create channel splitter (one output per input channel)
+            this.splitter = this.audioContext.createChannelSplitter(Math.max(2, this.channelCount));
+            this.source.connect(this.splitter);
+
+            // Create analysers for left and right channel, each behind a DC
+            // blocking filter and a gain stage
             this.analyserLeft = this.audioContext.createAnalyser();
             this.analyserLeft.fftSize = fftSize;
-            splitter.connect(this.analyserLeft, 0);
-
-            // Create analysers for right channel
             this.analyserRight = this.audioContext.createAnalyser();
             this.analyserRight.fftSize = fftSize;
-            splitter.connect(this.analyserRight, 1);
 
-            console.log('Microphone input started');
+            this.filters = [0, 1].map(() => {
+                const filter = this.audioContext.createBiquadFilter();
+                filter.type = 'highpass';
+                filter.frequency.value = DC_BLOCK_FREQUENCY;
+                filter.Q.value = Math.SQRT1_2;
+                return filter;
+            });
+            this.gains = [0, 1].map(() => this.audioContext.createGain());
+            this.gains[0].connect(this.analyserLeft);
+            this.gains[1].connect(this.analyserRight);
+
+            // Clip detectors look at the raw input, before the gain stage
+            this.clipAnalysers = [0, 1].map(() => {
+                const analyser = this.audioContext.createAnalyser();
+                analyser.fftSize = CLIP_BUFFER_SIZE;
+                return analyser;
+            });
+            this.clipBuffer = new Float32Array(CLIP_BUFFER_SIZE);
+
+            // Analyser for the Z (intensity) channel, connected by route()
+            this.zNode = this.audioContext.createAnalyser();
+            this.zNode.fftSize = fftSize;
+
+            this.route();
+            this.setGain(this.gain);
+
+            console.log(`Microphone input started (${this.channelCount} channels)`);
 
             return {
                 audioContext: this.audioContext,
                 analyserLeft: this.analyserLeft,
-                analyserRight: this.analyserRight
+                analyserRight: this.analyserRight,
+                analyserZ: this.analyserZ
             };
         } catch (error) {
+            if (generation !== this.generation) return null;
             console.error('Error accessing microphone:', error);
             this.stop(); // Clean up any partial initialization
             throw error;
         }
     }
 
+    /**
+     * Connect the mapped input channels to the A and B chains, and to Z
+     */
+    route() {
+        if (!this.splitter) return;
+
+        this.channels.forEach((channel, i) => {
+            // A mono input drives both chains from its only channel (the
+            // splitter's second output is silent then)
+            const output = Math.min(channel, Math.max(0, this.channelCount - 1));
+
+            try { this.splitter.disconnect(this.filters[i]); } catch {}
+            try { this.splitter.disconnect(this.gains[i]); } catch {}
+            try { this.splitter.disconnect(this.clipAnalysers[i]); } catch {}
+            this.filters[i].disconnect();
+
+            if (this.dcBlock) {
+                this.splitter.connect(this.filters[i], output);
+                this.filters[i].connect(this.gains[i]);
+            } else {
+                this.splitter.connect(this.gains[i], output);
+            }
+            this.splitter.connect(this.clipAnalysers[i], output);
+        });
+
+        // Z only when its channel exists and isn't deflecting the beam already
+        try { this.splitter.disconnect(this.zNode); } catch {}
+        const z = this.zChannel;
+        if (z >= 0 && z < this.channelCount && !this.channels.includes(z)) {
+            this.splitter.connect(this.zNode, z);
+            this.analyserZ = this.zNode;
+        } else {
+            this.analyserZ = null;
+        }
+    }
+
+    /**
+     * Map input channels to A, B and Z
+     * @param {number} channelA - Input channel (0-based) for channel A
+     * @param {number} channelB - Input channel (0-based) for channel B
+     * @param {number} channelZ - Input channel (0-based) for Z, -1 for none
+     */
+    setChannels(channelA, channelB, channelZ = this.zChannel) {
+        this.channels = [channelA, channelB];
+        this.zChannel = channelZ;
+        this.route();
+    }
+
+    /**
+     * Set the input gain of both channels
+     * @param {number} gain - Linear gain (below 1 attenuates)
+     */
+    setGain(gain) {
+        this.gain = gain;
+        for (const node of this.gains) {
+            node.gain.setTargetAtTime(gain, this.audioContext.currentTime, 0.01);
+        }
+    }
+
+    /**
+     * Turn the DC blocking filter on or off
+     * @param {boolean} enabled
+     */
+    setDcBlock(enabled) {
+        this.dcBlock = enabled;
+        this.route();
+    }
+
+    /**
+     * Check whether either mapped channel is clipping at the input
+     * @returns {boolean} true when a recent raw sample reached full scale
+     */
+    isClipping() {
+        if (!this.clipBuffer) return false;
+
+        return this.clipAnalysers.some(analyser => {
+            analyser.getFloatTimeDomainData(this.clipBuffer);
+            for (let i = 0; i < this.clipBuffer.length; i++) {
+                if (Math.abs(this.clipBuffer[i]) >= CLIP_LEVEL) return true;
+            }
+            return false;
+        });
+    }
+
     /**
      * Stop microphone input and clean up resources
      */
     stop() {
+        this.generation++;
         if (!this.stream && !this.audioContext) return;
 
         if (this.stream) {
@@ -89,8 +251,16 @@ export class MicrophoneInput {
         }
 
         this.source = null;
+        this.splitter = null;
+        this.channelCount = 0;
+        this.filters = [];
+        this.gains = [];
+        this.clipAnalysers = [];
+        this.clipBuffer = null;
         this.analyserLeft = null;
         this.analyserRight = null;
+        this.analyserZ = null;
+        this.zNode = null;
 
         console.log('Microphone input stopped');
     }
@@ -103,6 +273,14 @@ export class MicrophoneInput {
         return this.stream !== null && this.audioContext !== null;
     }
 
+    /**
+     * Get the number of channels of the input
+     * @returns {number} 0 when not active
+     */
+    getChannelCount() {
+        return this.channelCount;
+    }
+
     /**
      * Get current audio context
      * @returns {AudioContext|null}
@@ -127,14 +305,23 @@ export class MicrophoneInput {
         return this.analyserRight;
     }
 
+    /**
+     * Get Z (intensity) channel analyser
+     * @returns {AnalyserNode|null} null when no (free) input channel is mapped to Z
+     */
+    getAnalyserZ() {
+        return this.analyserZ;
+    }
+
     /**
      * Get all analysers
-     * @returns {Object} Object containing analyserLeft and analyserRight
+     * @returns {Object} Object containing analyserLeft, analyserRight and analyserZ
      */
     getAnalysers() {
         return {
             analyserLeft: this.analyserLeft,
-            analyserRight: this.analyserRight
+            analyserRight: this.analyserRight,
+            analyserZ: this.analyserZ
         };
     }
 }
@@ -0,0 +1,95 @@
+/**
+ * Phosphor types for the virtual CRT.
+ *
+ * Every phosphor emits in two components, each with its own colour and decay
+ * rate: a fast fluorescence while the beam is on and shortly after, and a
+ * slower phosphorescence (the afterglow). P7 is the classic example, with a
+ * short blue flash and a long yellow afterglow.
+ *
+ * - weight: share of the brightness emitted by the component
+ * - scale: decay time relative to the PERSISTENCE setting (1 = as set,
+ *   2 = twice as long, ...)
+ * - saturation: how quickly the phosphor saturates under a bright beam
+ *   (0 = linear, higher = dim traces brighter relative to bright ones)
+ */
+export const PHOSPHORS = {
+    p1: {
+        name: 'P1 (green)',
+        saturation: 0.6,
+        components: [
+            { color: [90, 255, 70], weight: 0.85, scale: 1 },
+            { color: [90, 255, 70], weight: 0.15, scale: 3 }
+        ]
+    },
+    p7: {
+        name: 'P7 (blue, yellow afterglow)',
+        saturation: 1.2,
+        components: [
+            { color: [140, 170, 255], weight: 0.55, scale: 0.4 },
+            { color: [235, 215, 70], weight: 0.45, scale: 20 }
+        ]
+    },
+    p31: {
+        name: 'P31 (green)',
+        saturation: 0.3,
+        components: [
+            { color: [76, 175, 80], weight: 0.9, scale: 1 },
+            { color: [76, 175, 80], weight: 0.1, scale: 4 }
+        ]
+    },
+    p39: {
+        name: 'P39 (yellow-green, long)',
+        saturation: 0.8,
+        components: [
+            { color: [150, 230, 60], weight: 0.4, scale: 2 },
+            { color: [150, 230, 60], weight: 0.6, scale: 15 }
+        ]
+    },
+    amber: {
+        name: 'Amber',
+        saturation: 0.5,
+        components: [
+            { color: [255, 176, 0], weight: 0.8, scale: 1.5 },
+            { color: [255, 140, 0], weight: 0.2, scale: 6 }
+        ]
+    },
+    white: {
+        name: 'White (P4)',
+        saturation: 0.4,
+        components: [
+            { color: [235, 240, 255], weight: 0.85, scale: 0.7 },
+            { color: [255, 225, 190], weight: 0.15, scale: 4 }
+        ]
+    }
+};
+
+export const DEFAULT_PHOSPHOR = 'p31';
+
+/**
+ * Look up a phosphor, falling back to the default for unknown ids.
+ * @param {string} id - Key of PHOSPHORS
+ */
+export function getPhosphor(id) {
+    return PHOSPHORS[id] ?? PHOSPHORS[DEFAULT_PHOSPHOR];
+}
+
+/**
+ * Brightness of the phosphor for a given beam excitation. Normalised so an
+ * excitation of 1 gives a brightness of 1 whatever the saturation.
+ * @param {number} excitation - Beam excitation (opacity before saturation)
+ * @param {number} saturation - The phosphor's saturation
+ */
+export function phosphorBrightness(excitation, saturation) {
+    if (saturation <= 0) return excitation;
+    return (1 - Math.exp(-saturation * excitation)) / (1 - Math.exp(-saturation));
+}
+
+/**
+ * Fraction of a component's light that is kept from one frame to the next.
+ * @param {number} persistence - Frame-to-frame persistence (0 = instant clear, 1 = never fades)
+ * @param {number} scale - The component's decay scale
+ */
+export function componentRetention(persistence, scale) {
+    if (persistence <= 0) return 0;
+    return Math.pow(persistence, 1 / scale);
+}
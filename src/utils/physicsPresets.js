@@ -0,0 +1,216 @@
+import { DEFAULT_PHOSPHOR, PHOSPHORS } from './phosphors.js';
+
+/**
+ * Physics presets: named scope "personalities".
+ *
+ * A preset holds every setting of the physics controls (apart from the
+ * debug ones). Bundled presets imitate real scopes and vector displays;
+ * user presets are saved in the browser and can be exported and imported
+ * as JSON:
+ *
+ *   {
+ *     "version": 1,
+ *     "presets": [
+ *       { "name": "My scope", "settings": { "persistence": 0.2, ... } }
+ *     ]
+ *   }
+ *
+ * Presets are selected by id: the bundled preset's id, or 'user:' followed
+ * by the name of a user preset.
+ */
+
+export const PRESETS_VERSION = 1;
+
+const USER_PREFIX = 'user:';
+
+/** Settings of a preset, with the scope's defaults */
+export const DEFAULT_PHYSICS = {
+    signalNoise: 0.003,
+    coilStrength: 0.60,
+    beamInertia: 0.10,
+    fieldDamping: 0.30,
+    phosphor: DEFAULT_PHOSPHOR,
+    persistence: 0.100,
+    velocityDimming: 1.0,
+    decay: 10,
+    frameSync: false,
+    bandwidthA: 0,
+    bandwidthB: 0,
+    compression: 0.0,
+    pincushion: 0.0,
+    keystone: 0.0,
+    bloom: 1.0,
+    halation: 0.0,
+    curvature: 0.0,
+    reflection: false,
+    timeSegment: 0.010
+};
+
+export const BUNDLED_PRESETS = [
+    {
+        // 100 MHz lab scope: stiff electrostatic deflection, clean geometry
+        id: 'tek465',
+        name: 'Tektronix 465',
+        settings: {
+            ...DEFAULT_PHYSICS,
+            signalNoise: 0.001,
+            coilStrength: 1.20,
+            beamInertia: 0.05,
+            fieldDamping: 0.45,
+            persistence: 0.060,
+            velocityDimming: 0.9,
+            compression: 0.05,
+            halation: 0.15,
+            curvature: 0.1
+        }
+    },
+    {
+        // 20 MHz budget scope: a little noisier, softer at the edges
+        id: 'hm203',
+        name: 'Hameg HM203',
+        settings: {
+            ...DEFAULT_PHYSICS,
+            signalNoise: 0.006,
+            coilStrength: 0.55,
+            beamInertia: 0.12,
+            fieldDamping: 0.30,
+            persistence: 0.120,
+            compression: 0.20,
+            pincushion: 0.15,
+            keystone: 0.05,
+            halation: 0.2,
+            curvature: 0.15
+        }
+    },
+    {
+        // Vector console: magnetic deflection rings, slow amplifiers and a
+        // white screen with a pincushioned TV tube
+        id: 'vectrex',
+        name: 'Vectrex',
+        settings: {
+            ...DEFAULT_PHYSICS,
+            signalNoise: 0.004,
+            coilStrength: 0.45,
+            beamInertia: 0.30,
+            fieldDamping: 0.25,
+            phosphor: 'white',
+            persistence: 0.300,
+            velocityDimming: 0.7,
+            decay: 20,
+            bandwidthA: 8000,
+            bandwidthB: 8000,
+            compression: 0.15,
+            pincushion: 0.35,
+            bloom: 1.4,
+            halation: 0.4,
+            curvature: 0.2
+        }
+    },
+    {
+        // Arcade XY monitor: bright white phosphor, long glow, loose geometry
+        id: 'arcade',
+        name: 'Arcade',
+        settings: {
+            ...DEFAULT_PHYSICS,
+            signalNoise: 0.005,
+            coilStrength: 0.50,
+            beamInertia: 0.25,
+            fieldDamping: 0.35,
+            phosphor: 'white',
+            persistence: 0.250,
+            velocityDimming: 0.6,
+            decay: 16,
+            bandwidthA: 12000,
+            bandwidthB: 12000,
+            compression: 0.25,
+            pincushion: 0.25,
+            keystone: -0.05,
+            bloom: 1.6,
+            halation: 0.6,
+            curvature: 0.5,
+            reflection: true
+        }
+    }
+];
+
+/**
+ * Id of a user preset
+ * @param {string} name
+ */
+export function userPresetId(name) {
+    return USER_PREFIX + name;
+}
+
+/**
+ * Find a bundled or user preset by id
+ * @param {string} id
+ * @param {Array} userPresets - [{ name, settings }]
+ * @returns {{ id: string, name: string, settings: object }|null}
+ */
+export function findPreset(id, userPresets) {
+    if (!id) return null;
+    if (id.startsWith(USER_PREFIX)) {
+        const name = id.slice(USER_PREFIX.length);
+        const preset = userPresets.find(p => p.name === name);
+        return preset ? { id, ...preset } : null;
+    }
+    return BUNDLED_PRESETS.find(p => p.id === id) ?? null;
+}
+
+/**
+ * Whether the current settings are those of a preset
+ * @param {object} settings
+ * @param {object} preset
+ */
+export function matchesPreset(settings, preset) {
+    return Object.keys(DEFAULT_PHYSICS).every(key => settings[key] === preset.settings[key]);
+}
+
+/**
+ * Complete and validate the settings of a preset. Unknown keys are dropped,
+ * missing ones take the defaults.
+ * @param {object} settings
+ * @returns {object}
+ */
+export function normalizeSettings(settings = {}) {
+    const result = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_PHYSICS)) {
+        const value = settings[key];
+        if (key === 'phosphor') {
+            result[key] = PHOSPHORS[value] ? value : fallback;
+        } else if (typeof fallback === 'boolean') {
+            result[key] = typeof value === 'boolean' ? value : fallback;
+        } else {
+            result[key] = Number.isFinite(value) ? value : fallback;
+        }
+    }
+    return result;
+}
+
+export function serializePresets(userPresets) {
+    return JSON.stringify({ version: PRESETS_VERSION, presets: userPresets }, null, 2);
+}
+
+/**
+ * Parse and validate presets JSON, filling in defaults.
+ * @param {string} json
+ * @returns {Array} User presets: [{ name, settings }]
+ * @throws {Error} When the JSON isn't a valid presets file
+ */
+export function parsePresets(json) {
+    const data = JSON.parse(json);
+    if (!data || !Array.isArray(data.presets)) {
+        throw new Error('File has no presets');
+    }
+    if (data.version > PRESETS_VERSION) {
+        throw new Error(`Presets version ${data.version} is newer than supported`);
+    }
+
+    return data.presets.map((preset, i) => {
+        const name = typeof preset?.name === 'string' ? preset.name.trim() : '';
+        if (!name) {
+            throw new Error(`Preset ${i + 1} has no name`);
+        }
+        return { name, settings: normalizeSettings(preset.settings) };
+    });
+}
@@ -0,0 +1,409 @@
+import { createTextScroller, generateStaticText } from './textGenerator.js';
+import { parseSVGMarkupStatic, extractPathPoints, normalizePoints } from './svgSampler.js';
+import { svgExamples } from './svgExamples/index.js';
+import {
+    generateCircle,
+    generateSquare,
+    generateTriangle,
+    generateStar,
+    generateHeart,
+    generateSpiral,
+    generateLissajous,
+    generateClockPoints
+} from './shapes.js';
+
+/**
+ * Timeline sequencer.
+ *
+ * Plays a list of cues ("Text 'HELLO' for 5s → SVG logo spinning for 10s →
+ * Clock") by driving the tab generators headlessly and pushing their frames
+ * into the shared FrameProcessor. Time advances one frame per tick on a
+ * frame counter rather than the wall clock, so cue boundaries always fall on
+ * the same frame — and the same runner renders sequences offline for WAV
+ * export.
+ *
+ * Sequence JSON:
+ *   {
+ *     "version": 1,
+ *     "playback": "once" | "loop" | "pingpong",
+ *     "cues": [
+ *       { "scene": "text", "params": { "text": "HELLO" }, "duration": 5,
+ *         "transition": "cut" | "zoom" | "morph", "transitionTime": 0.5,
+ *         "spin": 0 }
+ *     ]
+ *   }
+ *
+ * `transition` describes how a cue comes in from the previous one, over its
+ * first `transitionTime` seconds. `spin` rotates the cue's frames in degrees
+ * per second.
+ */
+
+export const SEQUENCE_VERSION = 1;
+
+export const PLAYBACK_MODES = ['once', 'loop', 'pingpong'];
+
+export const TRANSITIONS = {
+    cut: { label: 'Cut' },
+    zoom: { label: 'Zoom' },
+    morph: { label: 'Morph' }
+};
+
+const SHAPES = {
+    circle: generateCircle,
+    square: generateSquare,
+    triangle: generateTriangle,
+    star: generateStar,
+    heart: generateHeart,
+    spiral: generateSpiral,
+    liss32: () => generateLissajous(3, 2),
+    liss54: () => generateLissajous(5, 4)
+};
+
+/**
+ * Scene types a cue can use. Each creates a frame source with the same
+ * protocol as the tabs' export sources: { getFrame(time, dt) => segments }.
+ */
+export const SCENES = {
+    text: {
+        label: 'Text',
+        defaults: { text: 'HELLO', scroll: true, speed: 0.5, scale: 0.3 },
+        create({ text, scroll, speed, scale }) {
+            if (!scroll) {
+                const segments = generateStaticText(text, { scale });
+                return { getFrame: () => segments };
+            }
+            const scroller = createTextScroller(text, { speed, scale, charSpacing: 0.2, pointDensity: 50 });
+            return { getFrame: (time, dt) => asSegments(scroller.update(dt)) };
+        }
+    },
+    svg: {
+        label: 'SVG',
+        defaults: { example: 'star', markup: '', samples: 200 },
+        create({ example, markup, samples }) {
+            const data = example === 'custom' ? markup : svgExamples.find(ex => ex.id === example)?.path;
+            const segments = parseSVG(data ?? '', samples);
+            return { getFrame: () => segments };
+        }
+    },
+    clock: {
+        label: 'Clock',
+        defaults: { showFace: true, showTicks: false },
+        create({ showFace, showTicks }) {
+            const startTime = Date.now();
+            return {
+                getFrame: (time) => asSegments(generateClockPoints(showFace, showTicks, new Date(startTime + time * 1000)))
+            };
+        }
+    },
+    shape: {
+        label: 'Shape',
+        defaults: { shape: 'circle' },
+        create({ shape }) {
+            const points = (SHAPES[shape] ?? generateCircle)();
+            return { getFrame: () => [points] };
+        }
+    }
+};
+
+export const SHAPE_NAMES = Object.keys(SHAPES);
+
+/**
+ * A new cue with the defaults for a scene type.
+ * @param {string} scene - Key of SCENES
+ */
+export function createCue(scene = 'text') {
+    return {
+        scene,
+        params: { ...SCENES[scene].defaults },
+        duration: 5,
+        transition: 'cut',
+        transitionTime: 0.5,
+        spin: 0
+    };
+}
+
+export function createSequence() {
+    return { version: SEQUENCE_VERSION, playback: 'loop', cues: [createCue('text')] };
+}
+
+export function serializeSequence(sequence) {
+    return JSON.stringify(sequence, null, 2);
+}
+
+/**
+ * Parse and validate sequence JSON, filling in defaults.
+ * @param {string} json
+ * @returns {object} Sequence
+ * @throws {Error} When the JSON isn't a valid sequence
+ */
+export function parseSequence(json) {
+    const data = JSON.parse(json);
+    if (!data || !Array.isArray(data.cues)) {
+        throw new Error('Sequence has no cues');
+    }
+    if (data.version > SEQUENCE_VERSION) {
+        throw new Error(`Sequence version ${data.version} is newer than supported`);
+    }
+
+    const cues = data.cues.map((cue, i) => {
+        if (!SCENES[cue?.scene]) {
+            throw new Error(`Cue ${i + 1} has unknown scene "${cue?.scene}"`);
+        }
+        const defaults = createCue(cue.scene);
+        return {
+            ...defaults,
+            ...cue,
+            params: { ...defaults.params, ...cue.params },
+            duration: Math.max(0, Number(cue.duration ?? defaults.duration)),
+            transition: TRANSITIONS[cue.transition] ? cue.transition : 'cut',
+            transitionTime: Math.max(0, Number(cue.transitionTime ?? defaults.transitionTime)),
+            spin: Number(cue.spin ?? 0)
+        };
+    });
+
+    return {
+        version: SEQUENCE_VERSION,
+        playback: PLAYBACK_MODES.includes(data.playback) ? data.playback : 'loop',
+        cues
+    };
+}
+
+/**
+ * Frame-by-frame runner for a sequence.
+ *
+ * @param {object} sequence
+ * @param {number} fps - Frame rate; cue durations are rounded to whole frames
+ * @returns {{ next(): { segments, cueIndex, finished }, cueIndex: number, finished: boolean }}
+ */
+export function createSequenceRunner(sequence, fps) {
+    const cues = sequence.cues;
+    const dt = 1 / fps;
+    const staticFrames = new Map(); // cue index → parsed scene (SVG parsing is slow)
+
+    let cueIndex = 0;
+    let direction = 1;
+    let frameInCue = 0;
+    let scene = null;
+    let previousFrame = null;
+    let lastFrame = [];
+    let finished = cues.length === 0;
+
+    function startCue(index) {
+        previousFrame = lastFrame;
+        cueIndex = index;
+        frameInCue = 0;
+        scene = createScene(index);
+    }
+
+    function createScene(index) {
+        const cue = cues[index];
+        if (cue.scene === 'svg') {
+            if (!staticFrames.has(index)) {
+                staticFrames.set(index, safeCreate(cue));
+            }
+            return staticFrames.get(index);
+        }
+        return safeCreate(cue);
+    }
+
+    function advance() {
+        let next = cueIndex + direction;
+        if (next < 0 || next >= cues.length) {
+            if (sequence.playback === 'once') {
+                finished = true;
+                return;
+            }
+            if (sequence.playback === 'pingpong' && cues.length > 1) {
+                direction = -direction;
+                next = cueIndex + direction;
+            } else {
+                next = 0;
+            }
+        }
+        startCue(next);
+    }
+
+    if (!finished) {
+        startCue(0);
+        previousFrame = null;
+    }
+
+    return {
+        get cueIndex() {
+            return cueIndex;
+        },
+
+        get finished() {
+            return finished;
+        },
+
+        next() {
+            if (finished) {
+                return { segments: lastFrame, cueIndex, finished };
+            }
+
+            const cue = cues[cueIndex];
+            const time = frameInCue * dt;
+            let segments = scene.getFrame(time, dt) ?? [];
+
+            if (cue.spin) {
+                segments = rotateSegments(segments, cue.spin * time);
+            }
+            if (previousFrame && cue.transition !== 'cut' && time < cue.transitionTime) {
+                segments = applyTransition(cue.transition, previousFrame, segments, time / cue.transitionTime);
+            }
+
+            const result = { segments, cueIndex, finished };
+
+            frameInCue++;
+            if (frameInCue >= Math.max(1, Math.round(cue.duration * fps))) {
+                // The next cue transitions from this cue's final frame
+                lastFrame = segments;
+                advance();
+            }
+
+            return result;
+        }
+    };
+}
+
+/**
+ * Plays a sequence live into a FrameProcessor.
+ */
+export class Sequencer {
+    /**
+     * @param {FrameProcessor} frameProcessor
+     * @param {number} [fps=30]
+     */
+    constructor(frameProcessor, fps = 30) {
+        this.frameProcessor = frameProcessor;
+        this.fps = fps;
+        this.runner = null;
+        this.interval = null;
+
+        this.onCueChange = null;  // (cueIndex) => void
+        this.onFinish = null;     // () => void
+    }
+
+    get isRunning() {
+        return this.interval !== null;
+    }
+
+    /**
+     * @param {object} sequence
+     */
+    start(sequence) {
+        this.stop();
+        this.runner = createSequenceRunner(sequence, this.fps);
+        if (this.runner.finished) return;
+
+        let lastCue = -1;
+        const tick = () => {
+            const { segments, cueIndex } = this.runner.next();
+            this.frameProcessor.processFrame(segments);
+            if (cueIndex !== lastCue) {
+                lastCue = cueIndex;
+                this.onCueChange?.(cueIndex);
+            }
+            if (this.runner.finished) {
+                this.stop();
+                this.onFinish?.();
+            }
+        };
+
+        tick();
+        this.interval = setInterval(tick, 1000 / this.fps);
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+/**
+ * Export source for offline rendering: runs the sequence on the virtual clock.
+ * @param {object} sequence
+ * @param {number} [fps=30] - Must match the rate renderOffline() asks for frames
+ */
+export function createSequenceExportSource(sequence, fps = 30) {
+    const runner = createSequenceRunner(sequence, fps);
+    return {
+        getFrame: () => runner.next().segments
+    };
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function safeCreate(cue) {
+    try {
+        return SCENES[cue.scene].create(cue.params);
+    } catch (error) {
+        console.warn(`Sequencer: could not create ${cue.scene} scene:`, error.message);
+        return { getFrame: () => [] };
+    }
+}
+
+function parseSVG(data, samples) {
+    if (!data.trim()) return [];
+    if (data.includes('<svg')) {
+        return parseSVGMarkupStatic(data, samples);
+    }
+    const result = extractPathPoints(data, samples);
+    return result.segments.map(segment => normalizePoints(segment, result.bbox));
+}
+
+// Generators return either a single segment or a list of segments
+function asSegments(points) {
+    if (!points || points.length === 0) return [];
+    return Array.isArray(points[0]?.[0]) ? points : [points];
+}
+
+function rotateSegments(segments, degrees) {
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    return segments.map(seg => seg.map(([x, y]) => [x * cos - y * sin, x * sin + y * cos]));
+}
+
+function scaleSegments(segments, factor) {
+    return segments.map(seg => seg.map(([x, y]) => [x * factor, y * factor]));
+}
+
+/**
+ * Blend from the outgoing frame to the incoming one.
+ * @param {string} type - 'zoom' or 'morph'
+ * @param {number} t - Progress 0..1
+ */
+function applyTransition(type, from, to, t) {
+    if (type === 'zoom') {
+        // Outgoing frame shrinks away, then the new one grows in
+        return t < 0.5
+            ? scaleSegments(from, 1 - t * 2)
+            : scaleSegments(to, t * 2 - 1);
+    }
+
+    if (type === 'morph') {
+        const fromPoints = from.flat();
+        const toCount = to.reduce((sum, seg) => sum + seg.length, 0);
+        if (fromPoints.length === 0 || toCount === 0) return to;
+
+        // Map outgoing points onto the incoming frame's structure by index
+        const result = [];
+        let index = 0;
+        for (const seg of to) {
+            const morphed = [];
+            for (const [x, y] of seg) {
+                const [fx, fy] = fromPoints[Math.floor(index * fromPoints.length / toCount)];
+                morphed.push([fx + (x - fx) * t, fy + (y - fy) * t]);
+                index++;
+            }
+            result.push(morphed);
+        }
+        return result;
+    }
+
+    return to;
+}
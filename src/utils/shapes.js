@@ -130,9 +130,8 @@ export function generateLissajous(a, b, delta = Math.PI / 2) {
     return points;
 }
 
-export function generateClockPoints(showFace = true, showTicks = false) {
+export function generateClockPoints(showFace = true, showTicks = false, now = new Date()) {
     const segments = [];
-    const now = new Date();
     const hours = now.getHours() % 12;
     const minutes = now.getMinutes();
     const seconds = now.getSeconds();
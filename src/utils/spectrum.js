@@ -0,0 +1,225 @@
+/**
+ * Spectrum analysis for the oscilloscope's FFT display mode.
+ *
+ * The analyser nodes only deliver Blackman-windowed, smoothed frequency data,
+ * so the spectrum is computed here from the time-domain samples instead:
+ * a window function, a radix-2 FFT, and per-bin averaging and peak hold
+ * across frames.
+ *
+ * Levels are in dBFS: a full-scale sine (±1.0) reads 0 dB whatever the
+ * window, because each window's coherent gain is divided out.
+ */
+
+export const WINDOWS = {
+    hann: {
+        label: 'Hann',
+        coefficients: [0.5, 0.5]
+    },
+    blackman: {
+        label: 'Blackman',
+        coefficients: [0.42, 0.5, 0.08]
+    },
+    flattop: {
+        // Accurate amplitudes at the cost of wide peaks
+        label: 'Flat Top',
+        coefficients: [0.21557895, 0.41663158, 0.277263158, 0.083578947, 0.006947368]
+    }
+};
+
+// Lowest frequency on the logarithmic axis
+export const LOG_MIN_FREQUENCY = 20;
+
+// Floor for levels so silence doesn't produce -Infinity
+const MIN_DB = -200;
+
+/**
+ * Frequency at a horizontal position on the screen.
+ * @param {number} fraction - 0 (left edge) to 1 (right edge)
+ * @param {'linear'|'log'} scale
+ * @param {number} sampleRate
+ */
+export function frequencyAtPosition(fraction, scale, sampleRate) {
+    const nyquist = sampleRate / 2;
+    if (scale === 'log') {
+        return LOG_MIN_FREQUENCY * Math.pow(nyquist / LOG_MIN_FREQUENCY, fraction);
+    }
+    return fraction * nyquist;
+}
+
+/**
+ * Spectrum analyser with averaging and peak hold across frames.
+ */
+export class SpectrumAnalyser {
+    constructor() {
+        this.size = 0;
+        this.windowType = null;
+        this.window = null;
+        this.windowGain = 1;
+        this.average = null;  // Averaged power per bin
+        this.peak = null;     // Peak level (dB) per bin
+        this.fft = null;
+        this.re = null;
+        this.im = null;
+    }
+
+    /**
+     * Forget the averaged and held spectra.
+     */
+    reset() {
+        this.average = null;
+        this.peak = null;
+    }
+
+    /**
+     * Analyse one buffer of samples.
+     *
+     * @param {ArrayLike<number>} data - Time-domain samples; the most recent
+     *        power-of-two length is used
+     * @param {Object} options
+     * @param {string} options.window - Key of WINDOWS
+     * @param {number} options.averaging - Number of frames to average (1 = off)
+     * @param {boolean} options.peakHold
+     * @returns {{ levels: Float32Array, peak: Float32Array|null }} dBFS per bin, 0..Nyquist
+     */
+    process(data, { window = 'hann', averaging = 1, peakHold = false } = {}) {
+        const size = 2 ** Math.floor(Math.log2(Math.max(2, data.length)));
+        if (size !== this.size || window !== this.windowType) {
+            this.prepare(size, window);
+        }
+
+        const power = this.powerSpectrum(data);
+        const bins = power.length;
+
+        // Exponential averaging of power, like a scope's continuous average
+        if (!this.average || averaging <= 1) {
+            this.average = power;
+        } else {
+            const weight = 1 / averaging;
+            for (let k = 0; k < bins; k++) {
+                this.average[k] += (power[k] - this.average[k]) * weight;
+            }
+        }
+
+        const levels = new Float32Array(bins);
+        for (let k = 0; k < bins; k++) {
+            levels[k] = toDecibels(this.average[k]);
+        }
+
+        if (!peakHold) {
+            this.peak = null;
+        } else {
+            if (!this.peak) this.peak = levels.slice();
+            for (let k = 0; k < bins; k++) {
+                if (levels[k] > this.peak[k]) this.peak[k] = levels[k];
+            }
+        }
+
+        return { levels, peak: this.peak };
+    }
+
+    prepare(size, windowType) {
+        this.size = size;
+        this.windowType = windowType;
+        this.fft = createFFT(size);
+        this.re = new Float64Array(size);
+        this.im = new Float64Array(size);
+        this.window = createWindow(size, WINDOWS[windowType] ?? WINDOWS.hann);
+
+        let sum = 0;
+        for (let i = 0; i < size; i++) sum += this.window[i];
+        this.windowGain = sum / size;
+
+        this.reset();
+    }
+
+    // Amplitude² per bin, scaled so a sine's peak bin is its amplitude²
+    powerSpectrum(data) {
+        const { size, window, re, im } = this;
+        const offset = data.length - size;
+        for (let i = 0; i < size; i++) {
+            re[i] = data[offset + i] * window[i];
+            im[i] = 0;
+        }
+
+        this.fft(re, im);
+
+        const bins = size / 2;
+        const power = new Float64Array(bins);
+        const scale = 2 / (size * this.windowGain);
+        for (let k = 0; k < bins; k++) {
+            power[k] = (re[k] * re[k] + im[k] * im[k]) * scale * scale;
+        }
+        return power;
+    }
+}
+
+function toDecibels(power) {
+    return power > 0 ? Math.max(MIN_DB, 10 * Math.log10(power)) : MIN_DB;
+}
+
+// Generalised cosine window: a0 − a1·cos(2πn/N) + a2·cos(4πn/N) − ...
+function createWindow(size, { coefficients }) {
+    const window = new Float64Array(size);
+    for (let n = 0; n < size; n++) {
+        let value = 0;
+        for (let k = 0; k < coefficients.length; k++) {
+            const sign = k % 2 === 0 ? 1 : -1;
+            value += sign * coefficients[k] * Math.cos(2 * Math.PI * k * n / (size - 1));
+        }
+        window[n] = value;
+    }
+    return window;
+}
+
+/**
+ * In-place iterative radix-2 FFT for one size, with the bit-reversal
+ * permutation and twiddle factors computed once.
+ * @returns {(re: Float64Array, im: Float64Array) => void}
+ */
+function createFFT(size) {
+    const bits = Math.log2(size);
+    const reversed = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+        let r = 0;
+        for (let b = 0; b < bits; b++) {
+            r = (r << 1) | ((i >> b) & 1);
+        }
+        reversed[i] = r;
+    }
+
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+        cos[i] = Math.cos(2 * Math.PI * i / size);
+        sin[i] = -Math.sin(2 * Math.PI * i / size);
+    }
+
+    return (re, im) => {
+        for (let i = 0; i < size; i++) {
+            const j = reversed[i];
+            if (j > i) {
+                let t = re[i]; re[i] = re[j]; re[j] = t;
+                t = im[i]; im[i] = im[j]; im[j] = t;
+            }
+        }
+
+        for (let length = 2; length <= size; length *= 2) {
+            const half = length / 2;
+            const step = size / length;
+            for (let start = 0; start < size; start += length) {
+                for (let k = 0; k < half; k++) {
+                    const wr = cos[k * step];
+                    const wi = sin[k * step];
+                    const a = start + k;
+                    const b = a + half;
+                    const tr = re[b] * wr - im[b] * wi;
+                    const ti = re[b] * wi + im[b] * wr;
+                    re[b] = re[a] - tr;
+                    im[b] = im[a] - ti;
+                    re[a] += tr;
+                    im[a] += ti;
+                }
+            }
+        }
+    };
+}
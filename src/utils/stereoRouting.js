@@ -0,0 +1,100 @@
+/**
+ * StereoRouting — routes an external stereo source (Line In, file player)
+ * into the generator's output chain.
+ *
+ * Signal path, all native Web Audio nodes so it runs sample-accurately:
+ *
+ *   source → splitter ─┬─ ch0 → invert/swap ─┐
+ *                      └─ ch1 → invert/swap ─┤→ X sum ─→ left out
+ *           DC offset (ConstantSource) ──────┘→ Y sum ─→ right out
+ *
+ * Generator rotation, scale and offset are applied further down the chain
+ * by the transform worklet, the same as for the other tabs.
+ */
+export class StereoRouting {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} sourceNode - Stereo source to route
+     * @param {AudioNode} leftOut - Destination for X (left channel)
+     * @param {AudioNode} rightOut - Destination for Y (right channel)
+     */
+    constructor(audioContext, sourceNode, leftOut, rightOut) {
+        this.audioContext = audioContext;
+        this.sourceNode = sourceNode;
+        this.swap = false;
+        this.invertX = false;
+        this.invertY = false;
+
+        this.splitter = audioContext.createChannelSplitter(2);
+        // Per input channel: gain applies invert, routing applies swap
+        this.channel0 = audioContext.createGain();
+        this.channel1 = audioContext.createGain();
+
+        // X/Y summing points (channel + DC offset)
+        this.xSum = audioContext.createGain();
+        this.ySum = audioContext.createGain();
+        this.offsetX = audioContext.createConstantSource();
+        this.offsetY = audioContext.createConstantSource();
+        this.offsetX.offset.value = 0;
+        this.offsetY.offset.value = 0;
+
+        sourceNode.connect(this.splitter);
+        this.splitter.connect(this.channel0, 0);
+        this.splitter.connect(this.channel1, 1);
+        this.offsetX.connect(this.xSum);
+        this.offsetY.connect(this.ySum);
+        this.xSum.connect(leftOut);
+        this.ySum.connect(rightOut);
+
+        this.offsetX.start();
+        this.offsetY.start();
+
+        this.applyChannels();
+    }
+
+    applyChannels() {
+        this.channel0.disconnect();
+        this.channel1.disconnect();
+        this.channel0.connect(this.swap ? this.ySum : this.xSum);
+        this.channel1.connect(this.swap ? this.xSum : this.ySum);
+        // Invert refers to the output axis, so follow the swap
+        this.channel0.gain.value = (this.swap ? this.invertY : this.invertX) ? -1 : 1;
+        this.channel1.gain.value = (this.swap ? this.invertX : this.invertY) ? -1 : 1;
+    }
+
+    /**
+     * @param {boolean} swap - Swap the input channels (left → Y, right → X)
+     */
+    setSwap(swap) {
+        this.swap = swap;
+        this.applyChannels();
+    }
+
+    /**
+     * @param {boolean} invertX - Invert the X (left output) axis
+     * @param {boolean} invertY - Invert the Y (right output) axis
+     */
+    setInvert(invertX, invertY) {
+        this.invertX = invertX;
+        this.invertY = invertY;
+        this.applyChannels();
+    }
+
+    /**
+     * @param {number} x - DC offset added to X (-1..1)
+     * @param {number} y - DC offset added to Y (-1..1)
+     */
+    setOffset(x, y) {
+        this.offsetX.offset.value = parseFloat(x);
+        this.offsetY.offset.value = parseFloat(y);
+    }
+
+    disconnect() {
+        this.sourceNode.disconnect(this.splitter);
+        this.offsetX.stop();
+        this.offsetY.stop();
+        for (const node of [this.splitter, this.channel0, this.channel1, this.xSum, this.ySum]) {
+            node.disconnect();
+        }
+    }
+}
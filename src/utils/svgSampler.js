@@ -16,6 +16,7 @@
  */
 
 import { resolveEnv } from './env.js';
+import { optimizeSegmentTour } from './tourOptimizer.js';
 
 // ---- Constants ----
 
@@ -29,6 +30,12 @@ const DRAWABLE_SELECTOR = 'path, circle, ellipse, rect, polygon, polyline, line'
 //             malformed input with a parsererror node; kept as a fallback.
 const SVG_PARSER = 'html';
 
+// Time (ms) spent improving segment order beyond the greedy pass. This runs
+// on the main thread (static graphics are re-parsed as the markup is edited),
+// so it is kept short; the frame processor worker refines the order further
+// when its Optimize Order setting is on.
+const OPTIMIZE_BUDGET = 4;
+
 /**
  * Parse an SVG markup string using the HTML parser (permissive).
  * Returns the root <svg> element (detached from any document), or null.
@@ -1048,79 +1055,15 @@ function getGeometryKey(element, computed) {
     }
 }
 
-// ---- Distance & Optimization ----
-
-function distance(p1, p2) {
-    const dx = p1[0] - p2[0];
-    const dy = p1[1] - p2[1];
-    return Math.sqrt(dx * dx + dy * dy);
-}
+// ---- Optimization ----
 
 /**
- * Optimize segment order to minimize jump distances.
- * Uses greedy nearest-neighbor algorithm starting from center.
+ * Optimize segment order to minimize jump distances, starting from the
+ * centre. See tourOptimizer.js.
+ * @param {number} timeBudget - Milliseconds to spend beyond the greedy pass
  */
-function optimizeSegmentOrder(segments, startFromCenter = true) {
-    if (segments.length <= 1) return segments;
-
-    const ordered = [];
-    const remaining = [...segments];
-
-    let startIndex = 0;
-    if (startFromCenter) {
-        let minDistToCenter = Infinity;
-        remaining.forEach((segment, index) => {
-            const segStart = segment[0];
-            const segEnd = segment[segment.length - 1];
-            const distStart = distance(segStart, [0, 0]);
-            const distEnd = distance(segEnd, [0, 0]);
-            const minDist = Math.min(distStart, distEnd);
-            if (minDist < minDistToCenter) {
-                minDistToCenter = minDist;
-                startIndex = index;
-            }
-        });
-    }
-
-    let current = remaining.splice(startIndex, 1)[0];
-    ordered.push(current);
-
-    while (remaining.length > 0) {
-        const currentEnd = current[current.length - 1];
-        let minDist = Infinity;
-        let minIndex = -1;
-        let shouldReverse = false;
-
-        remaining.forEach((segment, index) => {
-            const segStart = segment[0];
-            const segEnd = segment[segment.length - 1];
-
-            const distToStart = distance(currentEnd, segStart);
-            if (distToStart < minDist) {
-                minDist = distToStart;
-                minIndex = index;
-                shouldReverse = false;
-            }
-
-            const distToEnd = distance(currentEnd, segEnd);
-            if (distToEnd < minDist) {
-                minDist = distToEnd;
-                minIndex = index;
-                shouldReverse = true;
-            }
-        });
-
-        if (minIndex !== -1) {
-            let nextSegment = remaining.splice(minIndex, 1)[0];
-            if (shouldReverse) {
-                nextSegment = [...nextSegment].reverse();
-            }
-            ordered.push(nextSegment);
-            current = nextSegment;
-        }
-    }
-
-    return ordered;
+function optimizeSegmentOrder(segments, timeBudget) {
+    return optimizeSegmentTour(segments, { timeBudget }).segments;
 }
 
 /**
@@ -1222,7 +1165,7 @@ export function extractPathPoints(pathData, numSamples = 200, optimize = true, d
     // Apply optimizations
     let processedSegments = segments;
     if (optimize) {
-        processedSegments = optimizeSegmentOrder(processedSegments, true);
+        processedSegments = optimizeSegmentOrder(processedSegments, OPTIMIZE_BUDGET);
     }
     if (doubleDraw) {
         processedSegments = doubleDrawSegments(processedSegments);
@@ -1377,7 +1320,7 @@ export function parseSVGMarkupStatic(markup, samples, optimize = true, doubleDra
     // Apply optimizations
     let processedSegments = allSegments;
     if (optimize) {
-        processedSegments = optimizeSegmentOrder(processedSegments, true);
+        processedSegments = optimizeSegmentOrder(processedSegments, OPTIMIZE_BUDGET);
     }
     if (doubleDraw) {
         processedSegments = doubleDrawSegments(processedSegments);
@@ -1481,7 +1424,7 @@ export function sampleCurrentFrame(svgElement, elements, samples, optimize = tru
     // Apply optimizations
     let processedSegments = frameSegments;
     if (optimize) {
-        processedSegments = optimizeSegmentOrder(processedSegments, true);
+        processedSegments = optimizeSegmentOrder(processedSegments, OPTIMIZE_BUDGET);
     }
     if (doubleDraw) {
         processedSegments = doubleDrawSegments(processedSegments);
@@ -1491,9 +1434,10 @@ export function sampleCurrentFrame(svgElement, elements, samples, optimize = tru
 }
 
 /**
- * Create a continuous sampler for animated SVGs
+ * Insert SVG markup into the hidden sampling container, running any scripts,
+ * and collect what is needed to sample it frame by frame.
  */
-export function createContinuousSampler(markup, samples, fps, onFrame, isPlayingGetter, optimize = true, doubleDraw = true) {
+function mountAnimatedSVG(markup) {
     const container = getContainer();
 
     let cleanedMarkup = markup.trim();
@@ -1549,9 +1493,49 @@ export function createContinuousSampler(markup, samples, fps, onFrame, isPlaying
         bbox = svgElement.getBBox();
     }
 
+    return { svgElement, elements, hasScripts, bbox, frameLogCounter: 0 };
+}
+
+/**
+ * Sample the current state of a mounted SVG, normalized and clipped to the
+ * visible range. Returns null when there is nothing drawable in the DOM.
+ */
+function sampleMountedFrame(mounted, samples, optimize, doubleDraw) {
+    const { svgElement, elements, hasScripts, bbox } = mounted;
+
+    // Re-query each frame for scripts that dynamically add/remove elements
+    const currentElements = hasScripts
+        ? svgElement.querySelectorAll(DRAWABLE_SELECTOR)
+        : elements;
+    if (currentElements.length === 0) return null;
+
+    const frameSegments = sampleCurrentFrame(svgElement, currentElements, samples, optimize, doubleDraw);
+
+    if (hasScripts && (mounted.frameLogCounter++ % 60 === 0)) {
+        console.log(`[svgSampler] frame: ${currentElements.length} elements, ${frameSegments.length} segments, ${frameSegments.reduce((s, seg) => s + seg.length, 0)} points`);
+    }
+
+    const normalizedSegments = [];
+    for (const segment of frameSegments) {
+        const normalized = normalizePoints(segment, bbox);
+        const clipped = clipToVisibleRange(normalized);
+        for (const clippedSeg of clipped) {
+            if (clippedSeg.length >= 2) {
+                normalizedSegments.push(clippedSeg);
+            }
+        }
+    }
+    return normalizedSegments;
+}
+
+/**
+ * Create a continuous sampler for animated SVGs
+ */
+export function createContinuousSampler(markup, samples, fps, onFrame, isPlayingGetter, optimize = true, doubleDraw = true) {
+    const mounted = mountAnimatedSVG(markup);
+
     const frameDuration = 1000 / fps;
     let samplingInterval = null;
-    let frameLogCounter = 0;
 
     samplingInterval = setInterval(() => {
         if (!isPlayingGetter()) {
@@ -1563,29 +1547,8 @@ export function createContinuousSampler(markup, samples, fps, onFrame, isPlaying
         }
 
         try {
-            // Re-query each frame for scripts that dynamically add/remove elements
-            const currentElements = hasScripts
-                ? svgElement.querySelectorAll(DRAWABLE_SELECTOR)
-                : elements;
-            if (currentElements.length === 0) return;
-
-            const frameSegments = sampleCurrentFrame(svgElement, currentElements, samples, optimize, doubleDraw);
-
-            if (hasScripts && (frameLogCounter++ % 60 === 0)) {
-                console.log(`[svgSampler] frame: ${currentElements.length} elements, ${frameSegments.length} segments, ${frameSegments.reduce((s, seg) => s + seg.length, 0)} points`);
-            }
-
-            // Normalize and clip to visible range
-            const normalizedSegments = [];
-            for (const segment of frameSegments) {
-                const normalized = normalizePoints(segment, bbox);
-                const clipped = clipToVisibleRange(normalized);
-                for (const clippedSeg of clipped) {
-                    if (clippedSeg.length >= 2) {
-                        normalizedSegments.push(clippedSeg);
-                    }
-                }
-            }
+            const normalizedSegments = sampleMountedFrame(mounted, samples, optimize, doubleDraw);
+            if (!normalizedSegments) return;
 
             // Always call onFrame, even with empty segments, so the
             // display clears when everything is off-screen or hidden
@@ -1604,3 +1567,39 @@ export function createContinuousSampler(markup, samples, fps, onFrame, isPlaying
         }
     };
 }
+
+/**
+ * Create a sampler for animated SVGs that is driven by an external clock
+ * instead of a timer. SMIL and CSS/Web Animations are paused and seeked to
+ * the requested time, so frames can be rendered faster than real time
+ * (e.g. for offline export). Script-driven animation keeps running on its
+ * own timers and is sampled as-is.
+ */
+export function createSteppedSampler(markup, samples, optimize = true, doubleDraw = true) {
+    const mounted = mountAnimatedSVG(markup);
+    const { svgElement } = mounted;
+
+    svgElement.pauseAnimations?.();
+
+    return {
+        /**
+         * Sample the SVG at the given time in seconds since the start.
+         * @returns {Array} Normalized segments: [[[x,y], ...], ...]
+         */
+        sampleAt(seconds) {
+            svgElement.setCurrentTime?.(seconds);
+            for (const animation of svgElement.getAnimations?.({ subtree: true }) ?? []) {
+                animation.pause();
+                animation.currentTime = seconds * 1000;
+            }
+            return sampleMountedFrame(mounted, samples, optimize, doubleDraw) ?? [];
+        },
+
+        stop() {
+            svgElement.unpauseAnimations?.();
+            for (const animation of svgElement.getAnimations?.({ subtree: true }) ?? []) {
+                animation.play();
+            }
+        }
+    };
+}
@@ -0,0 +1,275 @@
+/**
+ * Segment tour optimiser.
+ *
+ * Picks the order in which to draw a set of strokes, and the direction of
+ * each, so the beam travels as little as possible between them. A greedy
+ * nearest-neighbour pass gives the starting tour, which is then improved
+ * with 2-opt (reverse a run of strokes, flipping each one) and Or-opt (move
+ * a chain of up to three strokes elsewhere, either way round) until no move
+ * helps or the time budget runs out. When the strokes arrive already in a
+ * better order than the greedy pass finds (optimised upstream), that order
+ * is improved instead.
+ *
+ * The tour is open: travel is counted from the start position (if given) to
+ * the first stroke and between consecutive strokes, not back to the start.
+ *
+ * Strokes are described by their endpoints only, so the same optimiser
+ * works for polyline segments ([[x,y], ...]) and for line lists
+ * ({ start, end }).
+ */
+
+const OR_OPT_MAX_CHAIN = 3;
+
+/**
+ * Optimise the drawing order of strokes.
+ *
+ * @param {Array<[[number,number],[number,number]]>} ends - [first, last] point of each stroke
+ * @param {Object} [options]
+ * @param {[number,number]|null} [options.start=null] - Beam position before the first stroke;
+ *        null starts from the stroke nearest the centre and doesn't count the move to it
+ * @param {number} [options.timeBudget=4] - Milliseconds to spend improving the greedy tour
+ * @returns {{ order: Int32Array, reversed: Uint8Array, travelBefore: number, travelAfter: number }}
+ *          Stroke indices in drawing order, whether each is drawn last → first,
+ *          and the travel length of the input order and of the result
+ */
+export function optimizeTour(ends, { start = null, timeBudget = 4 } = {}) {
+    const n = ends.length;
+    const identity = new Int32Array(n).map((_, i) => i);
+    const travelBefore = tourLength(ends, identity, new Uint8Array(n), start);
+
+    if (n <= 1) {
+        return { order: identity, reversed: new Uint8Array(n), travelBefore, travelAfter: travelBefore };
+    }
+
+    const deadline = now() + timeBudget;
+    let tour = greedyTour(ends, start);
+    if (travelBefore < tourLength(ends, tour.order, tour.reversed, start)) {
+        tour = { order: identity, reversed: new Uint8Array(n) };
+    }
+
+    while (now() < deadline) {
+        const improved2 = twoOpt(tour, ends, start, deadline);
+        const improvedOr = orOpt(tour, ends, start, deadline);
+        if (!improved2 && !improvedOr) break;
+    }
+
+    return {
+        order: tour.order,
+        reversed: tour.reversed,
+        travelBefore,
+        travelAfter: tourLength(ends, tour.order, tour.reversed, start)
+    };
+}
+
+/**
+ * Optimise the order of polyline segments.
+ *
+ * @param {Array<Array<[number,number]>>} segments
+ * @param {Object} [options] - See optimizeTour()
+ * @returns {{ segments: Array, travelBefore: number, travelAfter: number }}
+ */
+export function optimizeSegmentTour(segments, options) {
+    const ends = segments.map(seg => [seg[0], seg[seg.length - 1]]);
+    const { order, reversed, travelBefore, travelAfter } = optimizeTour(ends, options);
+
+    const result = new Array(order.length);
+    for (let k = 0; k < order.length; k++) {
+        const seg = segments[order[k]];
+        result[k] = reversed[k] ? [...seg].reverse() : seg;
+    }
+    return { segments: result, travelBefore, travelAfter };
+}
+
+/**
+ * Total beam travel of a tour.
+ *
+ * @param {Array} ends - [first, last] point of each stroke
+ * @param {ArrayLike<number>} order
+ * @param {ArrayLike<number>} reversed
+ * @param {[number,number]|null} start
+ */
+export function tourLength(ends, order, reversed, start = null) {
+    let total = 0;
+    let prev = start;
+    for (let k = 0; k < order.length; k++) {
+        const [first, last] = ends[order[k]];
+        const entry = reversed[k] ? last : first;
+        if (prev) total += dist(prev, entry);
+        prev = reversed[k] ? first : last;
+    }
+    return total;
+}
+
+// ─── Construction ────────────────────────────────────────────────────────────
+
+function greedyTour(ends, start) {
+    const n = ends.length;
+    const order = new Int32Array(n);
+    const reversed = new Uint8Array(n);
+    const used = new Uint8Array(n);
+
+    let position = start ?? [0, 0];
+    for (let k = 0; k < n; k++) {
+        let best = -1;
+        let bestDist = Infinity;
+        let reverse = 0;
+
+        for (let i = 0; i < n; i++) {
+            if (used[i]) continue;
+            const df = dist2(position, ends[i][0]);
+            const dl = dist2(position, ends[i][1]);
+            if (df < bestDist) { bestDist = df; best = i; reverse = 0; }
+            if (dl < bestDist) { bestDist = dl; best = i; reverse = 1; }
+        }
+
+        used[best] = 1;
+        order[k] = best;
+        reversed[k] = reverse;
+        position = ends[best][reverse ? 0 : 1];
+    }
+
+    return { order, reversed };
+}
+
+// ─── Improvement ─────────────────────────────────────────────────────────────
+
+// Entry and exit point of the stroke at tour position k
+function entry(tour, ends, k) {
+    return ends[tour.order[k]][tour.reversed[k] ? 1 : 0];
+}
+
+function exit(tour, ends, k) {
+    return ends[tour.order[k]][tour.reversed[k] ? 0 : 1];
+}
+
+// Length of the move from point a to point b; either may be missing (before
+// the first stroke without a start position, or after the last stroke)
+function link(a, b) {
+    return a && b ? dist(a, b) : 0;
+}
+
+/**
+ * 2-opt: reversing positions i..j replaces the moves into i and out of j.
+ * Moves inside the run keep their length, since every stroke is flipped too.
+ */
+function twoOpt(tour, ends, start, deadline) {
+    const n = tour.order.length;
+    let improved = false;
+
+    for (let i = 0; i < n - 1; i++) {
+        if (now() >= deadline) break;
+        const before = i > 0 ? exit(tour, ends, i - 1) : start;
+        const entryI = entry(tour, ends, i);
+
+        for (let j = i + 1; j < n; j++) {
+            const after = j < n - 1 ? entry(tour, ends, j + 1) : null;
+            const exitJ = exit(tour, ends, j);
+
+            const current = link(before, entryI) + link(exitJ, after);
+            const candidate = link(before, exitJ) + link(entryI, after);
+
+            if (candidate < current - 1e-9) {
+                reverseRun(tour, i, j);
+                improved = true;
+                break;
+            }
+        }
+    }
+
+    return improved;
+}
+
+function reverseRun(tour, i, j) {
+    const { order, reversed } = tour;
+    while (i < j) {
+        const o = order[i]; order[i] = order[j]; order[j] = o;
+        const r = reversed[i]; reversed[i] = reversed[j] ^ 1; reversed[j] = r ^ 1;
+        i++;
+        j--;
+    }
+    if (i === j) reversed[i] ^= 1;
+}
+
+/**
+ * Or-opt: take a chain of 1..3 consecutive strokes out and put it back
+ * between two other strokes, in either direction.
+ */
+function orOpt(tour, ends, start, deadline) {
+    const n = tour.order.length;
+    let improved = false;
+
+    for (let length = 1; length <= OR_OPT_MAX_CHAIN && length < n; length++) {
+        for (let i = 0; i + length <= n; i++) {
+            if (now() >= deadline) return improved;
+            const j = i + length - 1;
+
+            const before = i > 0 ? exit(tour, ends, i - 1) : start;
+            const after = j < n - 1 ? entry(tour, ends, j + 1) : null;
+            const chainEntry = entry(tour, ends, i);
+            const chainExit = exit(tour, ends, j);
+
+            const removeGain = link(before, chainEntry) + link(chainExit, after) - link(before, after);
+            if (removeGain <= 1e-9) continue;
+
+            // Insert between positions p and p + 1 of the tour without the chain
+            // (p = -1 is before the first stroke)
+            let bestCost = removeGain - 1e-9;
+            let bestP = null;
+            let bestFlip = false;
+
+            for (let p = -1; p < n; p++) {
+                if (p >= i - 1 && p <= j) continue;
+                const a = p >= 0 ? exit(tour, ends, p) : start;
+                const b = p + 1 < n ? entry(tour, ends, p + 1) : null;
+                const base = link(a, b);
+
+                const forward = link(a, chainEntry) + link(chainExit, b) - base;
+                if (forward < bestCost) { bestCost = forward; bestP = p; bestFlip = false; }
+
+                const backward = link(a, chainExit) + link(chainEntry, b) - base;
+                if (backward < bestCost) { bestCost = backward; bestP = p; bestFlip = true; }
+            }
+
+            if (bestP !== null) {
+                moveChain(tour, i, j, bestP, bestFlip);
+                improved = true;
+            }
+        }
+    }
+
+    return improved;
+}
+
+function moveChain(tour, i, j, p, flip) {
+    const order = Array.from(tour.order);
+    const reversed = Array.from(tour.reversed);
+
+    let chainOrder = order.splice(i, j - i + 1);
+    let chainReversed = reversed.splice(i, j - i + 1);
+    if (flip) {
+        chainOrder = chainOrder.reverse();
+        chainReversed = chainReversed.reverse().map(r => r ^ 1);
+    }
+
+    // Positions after the chain shift down once it is removed
+    const insertAt = p < i ? p + 1 : p + 1 - chainOrder.length;
+    order.splice(insertAt, 0, ...chainOrder);
+    reversed.splice(insertAt, 0, ...chainReversed);
+
+    tour.order.set(order);
+    tour.reversed.set(reversed);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function dist2(a, b) {
+    return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2;
+}
+
+function dist(a, b) {
+    return Math.sqrt(dist2(a, b));
+}
+
+function now() {
+    return performance.now();
+}
@@ -0,0 +1,106 @@
+/**
+ * Video recording of the oscilloscope screen.
+ *
+ * The screen is captured at a fixed frame rate and muxed with the
+ * generator's audio into a WebM file by MediaRecorder. The renderers draw
+ * into an OffscreenCanvas in the physics worker; the canvas it was
+ * transferred from shows every frame the worker commits, so capturing that
+ * canvas works the same for the Canvas 2D and WebGPU renderers.
+ */
+
+export const VIDEO_QUALITIES = {
+    low: { label: 'Low (30 fps)', frameRate: 30, videoBitsPerSecond: 2_500_000, audioBitsPerSecond: 96_000 },
+    standard: { label: 'Standard (30 fps)', frameRate: 30, videoBitsPerSecond: 6_000_000, audioBitsPerSecond: 128_000 },
+    high: { label: 'High (60 fps)', frameRate: 60, videoBitsPerSecond: 12_000_000, audioBitsPerSecond: 192_000 }
+};
+
+export const DEFAULT_VIDEO_QUALITY = 'standard';
+
+// In order of preference
+const MIME_TYPES = [
+    'video/webm;codecs=vp9,opus',
+    'video/webm;codecs=vp8,opus',
+    'video/webm'
+];
+
+/**
+ * WebM type the browser can record, if any
+ * @returns {string|null}
+ */
+export function supportedMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) ?? null;
+}
+
+export class VideoRecorder {
+    constructor() {
+        this.recorder = null;
+        this.stream = null;
+        this.chunks = [];
+        this.mimeType = null;
+    }
+
+    get isRecording() {
+        return this.recorder !== null;
+    }
+
+    /**
+     * Start recording
+     * @param {MediaStream} videoStream - Captured canvas, at the quality's frame rate
+     * @param {MediaStream|null} audioStream - Audio to mux in (optional)
+     * @param {string} quality - Key of VIDEO_QUALITIES
+     * @throws {Error} When the browser can't record WebM
+     */
+    start(videoStream, audioStream, quality = DEFAULT_VIDEO_QUALITY) {
+        if (this.recorder) return;
+
+        this.mimeType = supportedMimeType();
+        if (!this.mimeType) {
+            throw new Error('This browser cannot record WebM video');
+        }
+
+        const { videoBitsPerSecond, audioBitsPerSecond } = VIDEO_QUALITIES[quality] ?? VIDEO_QUALITIES[DEFAULT_VIDEO_QUALITY];
+        this.stream = new MediaStream([
+            ...videoStream.getVideoTracks(),
+            ...(audioStream?.getAudioTracks() ?? [])
+        ]);
+        const chunks = this.chunks = [];
+
+        this.recorder = new MediaRecorder(this.stream, {
+            mimeType: this.mimeType,
+            videoBitsPerSecond,
+            audioBitsPerSecond
+        });
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                chunks.push(e.data);
+            }
+        };
+        // Deliver data every second, so a long recording isn't held in one piece
+        this.recorder.start(1000);
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise<Blob|null>} The WebM video, or null when not recording
+     */
+    stop() {
+        const recorder = this.recorder;
+        if (!recorder) return Promise.resolve(null);
+
+        // The next recording can start before this one has finished
+        const chunks = this.chunks;
+        const mimeType = this.mimeType;
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                resolve(new Blob(chunks, { type: mimeType }));
+            };
+            recorder.stop();
+            // The canvas capture track belongs to the recording; audio
+            // tracks are stopped by whoever supplied them
+            this.stream.getVideoTracks().forEach(track => track.stop());
+            this.recorder = null;
+            this.stream = null;
+        });
+    }
+}
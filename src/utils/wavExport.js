@@ -0,0 +1,278 @@
+import { FrameProcessor } from './FrameProcessor.js';
+
+/**
+ * Offline WAV export.
+ *
+ * Renders a generator's output to a stereo WAV file without playing it live.
+ * The generator is driven on a virtual clock: each frame is requested from an
+ * export source, processed by a dedicated frame-processor worker (so the live
+ * output keeps running untouched), and written into the output buffers the
+ * same way AudioEngine would play it — looping buffers in frequency mode,
+ * one point per sample in points mode, moving between frames with the live
+ * transition — and finally run through the same
+ * rotation/scale/offset transform as the live output. Left = X, right = Y.
+ */
+
+export const WAV_FORMATS = {
+    pcm16: { label: '16-bit', bitsPerSample: 16, float: false },
+    pcm24: { label: '24-bit', bitsPerSample: 24, float: false },
+    float32: { label: '32-bit float', bitsPerSample: 32, float: true }
+};
+
+/**
+ * Render an export source to left/right sample buffers.
+ *
+ * @param {object} source - Export source: { getFrame(time, dt) => segments, finish?() }
+ * @param {object} options
+ * @param {number} options.duration - Length in seconds
+ * @param {number} options.sampleRate - Output sample rate
+ * @param {number} [options.fps=30] - Rate at which the source is asked for new frames
+ * @param {object} options.settings - Frame processor settings (mode, frequency, ...)
+ * @param {object} [options.transform] - Output transform (rotation, spin, scaleX, scaleY, offsetX, offsetY)
+ * @param {object} [options.transition] - Points mode frame transition: { mode: 'cut'|'cycle'|'travel', slewRate }
+ * @param {(progress: number) => void} [options.onProgress] - Called with 0..1
+ * @returns {Promise<{ left: Float32Array, right: Float32Array }>}
+ */
+export async function renderOffline(source, { duration, sampleRate, fps = 30, settings, transform = null, transition = null, onProgress = null }) {
+    const totalSamples = Math.round(duration * sampleRate);
+    const left = new Float32Array(totalSamples);
+    const right = new Float32Array(totalSamples);
+
+    const processor = new FrameProcessor();
+    processor.updateSettings({ ...settings, sampleRate });
+
+    const player = new PointsPlayer(transition);
+
+    const dt = 1 / fps;
+    const frameCount = Math.ceil(duration * fps);
+
+    try {
+        for (let frame = 0; frame < frameCount; frame++) {
+            const time = frame * dt;
+            const start = Math.round(time * sampleRate);
+            const end = Math.min(totalSamples, Math.round((frame + 1) * dt * sampleRate));
+
+            const segments = source.getFrame(time, dt) ?? [];
+            const data = await processor.renderFrame(segments);
+
+            if (data.left && data.right) {
+                writeLooped(left, data.left, start, end);
+                writeLooped(right, data.right, start, end);
+            } else if (data.interleaved) {
+                player.receiveFrame(data.interleaved);
+                player.write(left, right, start, end);
+            } else {
+                // Empty frame — leave silence, as AudioEngine.silenceGenerators() would
+                player.clear();
+            }
+
+            onProgress?.((frame + 1) / frameCount);
+        }
+    } finally {
+        processor.destroy();
+        source.finish?.();
+    }
+
+    if (transform) {
+        applyTransform(left, right, transform, sampleRate);
+    }
+
+    return { left, right };
+}
+
+/**
+ * Rotate, scale and offset the rendered samples in place, matching the
+ * transform worklet (rotation plus accumulated spin, then scale, then offset).
+ */
+function applyTransform(left, right, { rotation = 0, spin = 0, scaleX = 1, scaleY = 1, offsetX = 0, offsetY = 0 }, sampleRate) {
+    if (rotation === 0 && spin === 0 && scaleX === 1 && scaleY === 1 && offsetX === 0 && offsetY === 0) return;
+
+    for (let i = 0; i < left.length; i++) {
+        const angle = rotation + spin * (i + 1) / sampleRate;
+        const rad = angle * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const x = left[i];
+        const y = right[i];
+        left[i] = (x * cos - y * sin) * scaleX + offsetX;
+        right[i] = (x * sin + y * cos) * scaleY + offsetY;
+    }
+}
+
+/**
+ * Fill target[start..end) by looping over a frame buffer, restarting at the
+ * beginning of the frame like a freshly started looping buffer source.
+ */
+function writeLooped(target, frame, start, end) {
+    if (frame.length === 0) return;
+    let index = 0;
+    for (let i = start; i < end; i++) {
+        target[i] = frame[index];
+        index++;
+        if (index >= frame.length) index = 0;
+    }
+}
+
+/**
+ * Offline counterpart of the points-processor worklet: plays points-mode
+ * frames one point per sample, carrying on from where the previous frame
+ * left off and switching frames with the same cut/cycle/travel transition.
+ * Worklet modules can't import code, so keep the two in step.
+ */
+class PointsPlayer {
+    constructor({ mode = 'cut', slewRate = 0.02 } = {}) {
+        this.transitionMode = mode;
+        this.slewRate = Math.max(1e-4, slewRate);
+        this.frame = null;
+        this.frameOffset = 0;
+        this.pendingFrame = null;
+        this.traveling = false;
+        this.beamX = 0;
+        this.beamY = 0;
+    }
+
+    receiveFrame(frame) {
+        if (frame.length < 2) return;
+
+        if (this.transitionMode === 'cut' || !this.frame) {
+            this.frame = frame;
+            this.frameOffset = 0;
+            this.pendingFrame = null;
+            this.traveling = false;
+            return;
+        }
+
+        this.pendingFrame = frame;
+        if (this.transitionMode === 'travel') {
+            this.traveling = true;
+        }
+    }
+
+    swapToPending() {
+        this.frame = this.pendingFrame;
+        this.frameOffset = 0;
+        this.pendingFrame = null;
+        this.traveling = false;
+    }
+
+    clear() {
+        this.frame = null;
+        this.frameOffset = 0;
+        this.pendingFrame = null;
+        this.traveling = false;
+    }
+
+    /**
+     * Fill left/right[start..end) with the beam position per sample
+     */
+    write(left, right, start, end) {
+        if (!this.frame) return;
+
+        for (let i = start; i < end; i++) {
+            if (this.traveling) {
+                const dx = this.pendingFrame[0] - this.beamX;
+                const dy = this.pendingFrame[1] - this.beamY;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist <= this.slewRate) {
+                    this.swapToPending();
+                } else {
+                    this.beamX += dx / dist * this.slewRate;
+                    this.beamY += dy / dist * this.slewRate;
+                    left[i] = this.beamX;
+                    right[i] = this.beamY;
+                    continue;
+                }
+            }
+
+            const current = this.frame;
+            left[i] = this.beamX = current[this.frameOffset];
+            right[i] = this.beamY = current[this.frameOffset + 1];
+            this.frameOffset += 2;
+            if (this.frameOffset >= current.length - 1) {
+                this.frameOffset = 0;
+                if (this.pendingFrame && this.transitionMode === 'cycle') {
+                    this.swapToPending();
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Encode stereo samples as a WAV file.
+ *
+ * @param {Float32Array} left - X channel
+ * @param {Float32Array} right - Y channel
+ * @param {number} sampleRate
+ * @param {string} format - Key of WAV_FORMATS
+ * @returns {Blob}
+ */
+export function encodeWAV(left, right, sampleRate, format = 'pcm16') {
+    const { bitsPerSample, float } = WAV_FORMATS[format];
+    const numChannels = 2;
+    const bytesPerSample = bitsPerSample / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = left.length * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt chunk
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, float ? 3 : 1, true);  // 3 = IEEE float, 1 = PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitsPerSample, true);
+
+    // data chunk
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < left.length; i++) {
+        for (const sample of [left[i], right[i]]) {
+            if (float) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                const clamped = Math.max(-1, Math.min(1, sample));
+                if (bitsPerSample === 16) {
+                    view.setInt16(offset, Math.round(clamped * 0x7fff), true);
+                } else {
+                    const value = Math.round(clamped * 0x7fffff);
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                }
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function writeString(view, offset, string) {
+    for (let i = 0; i < string.length; i++) {
+        view.setUint8(offset + i, string.charCodeAt(i));
+    }
+}
+
+/**
+ * Trigger a browser download for a blob.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -11,6 +11,7 @@ import {
     snapLinesToGrid,
     mergeCollinearLines,
     dropParallelDuplicates,
+    optimizeLineOrder,
     setRendererSettings,
     triggerDebugCapture
 } from '../utils/doom/renderer3d.js';
@@ -18,6 +19,7 @@ import {
 // Stored map data
 let mapData = null;
 let settings = {
+    optimizeOrder: true,
     deduplicateLines: true,
     dedupeThreshold: 25  // Rounding factor for deduplication (higher = stricter, 25 = 0.040 tolerance)
 };
@@ -86,7 +88,14 @@ self.onmessage = function(e) {
                 lines = deduplicateLines(lines, settings.dedupeThreshold);
             }
 
-            // Convert to raw 2-point segments (frame-processor worker handles reordering/resampling)
+            // Pre-order the lines here, where there is time to spare; the
+            // frame-processor worker improves on this order with the live beam
+            // position rather than starting over
+            if (settings.optimizeOrder) {
+                lines = optimizeLineOrder(lines);
+            }
+
+            // Convert to raw 2-point segments (frame-processor worker handles resampling)
             const points = lines.map(line => [line.start, line.end]);
 
             self.postMessage({ type: 'rendered', payload: { points } });
@@ -94,6 +103,9 @@ self.onmessage = function(e) {
 
         case 'setSettings':
             // Update local settings
+            if (payload.optimizeOrder !== undefined) {
+                settings.optimizeOrder = payload.optimizeOrder;
+            }
             if (payload.deduplicateLines !== undefined) {
                 settings.deduplicateLines = payload.deduplicateLines;
             }
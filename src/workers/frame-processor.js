@@ -3,7 +3,10 @@
  *
  * Centralizes all segment processing for oscilloscope output.
  * Receives raw segments from generator tabs, processes them
- * (reorder, rotate, resample), and outputs ready-to-play audio data.
+ * (reorder, simplify, resample, dwell/travel), and outputs ready-to-play
+ * audio data.
+ * Rotation, scale and offset are applied afterwards, per sample, by the
+ * transform worklet in AudioEngine.
  *
  * Communication:
  *   Inbound:
@@ -12,22 +15,38 @@
  *     { type: 'resetBeamPosition' }            — clear last beam position
  *
  *   Outbound:
- *     { type: 'frameReady', id, left?, right?, interleaved?, segmentCount, pointCount }
+ *     { type: 'frameReady', id, left?, right?, interleaved?, blanking?, segmentCount, pointCount,
+ *       sourcePointCount, simplifiedPointCount, travelBefore, travelAfter }
+ *
+ *   `blanking` (only when zEnabled) holds one value per output sample:
+ *   1 where the beam should be blanked (travel between segments), 0 elsewhere.
  */
 
+import { optimizeSegmentTour } from '../utils/tourOptimizer.js';
+
 // ─── Worker State ────────────────────────────────────────────────────────────
 
 let settings = {
     mode: 'frequency',           // 'frequency' or 'points'
     frequency: 100,              // Hz (frequency mode buffer size)
     sampleRate: 48000,
-    rotation: 0,                 // degrees
     pointSpacing: 0.02,          // for points mode
     resampleMode: 'proportional', // 'off', 'uniform', 'proportional'
+    simplifyMode: 'off',         // 'off', 'rdp' (Ramer-Douglas-Peucker), 'visvalingam'
+    simplifyTolerance: 0.005,    // max deviation in normalized units (area = tolerance² for Visvalingam)
     optimizeOrder: true,
+    optimizeBudget: 4,           // ms per frame to improve the order beyond nearest-neighbour
     trackBeamPosition: true,
-    previewAfterResample: true   // true: optimize→resample→preview→rotate
-                                 // false: optimize→preview→resample→rotate
+    previewAfterResample: true,  // true: optimize→simplify→resample→preview
+                                 // false: optimize→simplify→preview→resample
+    cornerDwell: 0,              // samples to hold at sharp corners (0 = off)
+    cornerAngle: 45,             // degrees of direction change that counts as a corner
+    fastTravel: false,           // explicit short moves between segments
+    travelSamples: 2,            // samples spent moving between segments
+    anchorDwell: 2,              // samples to settle before and after a travel move
+    zEnabled: false,             // output a blanking mask for the Z channel
+    zLead: 0,                    // samples to start blanking before a jump
+    zLag: 1                      // samples to keep blanking after a jump
 };
 
 let lastBeamPosition = null;     // [x, y] — persists across frames
@@ -67,14 +86,20 @@ function processFrame(segments, id) {
 
     if (segs.length === 0) {
         // Post an empty frame so the display clears (no stale visuals)
-        self.postMessage({ type: 'frameReady', id, segmentCount: 0, pointCount: 0 });
+        self.postMessage({ type: 'frameReady', id, segmentCount: 0, pointCount: 0, sourcePointCount: 0, simplifiedPointCount: 0, travelBefore: 0, travelAfter: 0 });
         return;
     }
 
     // 1. Optimize segment order
+    const frameStats = {};
     if (settings.optimizeOrder) {
-        const startPos = settings.trackBeamPosition ? lastBeamPosition : null;
-        segs = optimizeSegmentOrder(segs, startPos);
+        const tour = optimizeSegmentTour(segs, {
+            start: settings.trackBeamPosition ? lastBeamPosition : null,
+            timeBudget: settings.optimizeBudget
+        });
+        segs = tour.segments;
+        frameStats.travelBefore = tour.travelBefore;
+        frameStats.travelAfter = tour.travelAfter;
     }
 
     // Update beam position for next frame
@@ -83,31 +108,26 @@ function processFrame(segments, id) {
         lastBeamPosition = lastSeg[lastSeg.length - 1];
     }
 
-    // 2. Resample
+    // 2. Simplify (drop near-collinear points before the point budget is spent)
+    frameStats.sourcePointCount = countPoints(segs);
+    segs = simplifySegments(segs);
+    frameStats.simplifiedPointCount = countPoints(segs);
+
+    // 3. Resample
     const resampled = resampleSegments(segs);
 
-    // 3. Capture preview (configurable: before or after resample)
+    // 4. Capture preview (configurable: before or after resample)
     const preview = serializePreview(settings.previewAfterResample ? resampled : segs);
 
-    // 4. Apply rotation (output-only transform, after preview)
-    let output = resampled;
-    if (settings.rotation !== 0) {
-        const rad = settings.rotation * Math.PI / 180;
-        const cos = Math.cos(rad);
-        const sin = Math.sin(rad);
-        output = output.map(seg =>
-            seg.map(([x, y]) => [
-                x * cos - y * sin,
-                x * sin + y * cos
-            ])
-        );
-    }
-
-    // 5. Output audio data
+    // 5. Corner dwell and fast travel (after resampling so counts are exact)
+    const runs = buildRuns(resampled);
+    frameStats.segmentCount = resampled.length;
+
+    // 6. Output audio data
     if (settings.mode === 'points') {
-        outputPointsMode(output, id, preview);
+        outputPointsMode(runs, id, preview, frameStats);
     } else {
-        outputFrequencyMode(output, id, preview);
+        outputFrequencyMode(runs, id, preview, frameStats);
     }
 }
 
@@ -126,37 +146,166 @@ function resampleSegments(segments) {
     return segments;
 }
 
+// ─── Corner Dwell & Fast Travel ──────────────────────────────────────────────
+
+/**
+ * Split the frame into runs, the stretches of output the beam plays in order:
+ *   { kind: 'draw', points }            — a drawn segment (or part of one)
+ *   { kind: 'hold', points, samples }   — points[0] held still for `samples`
+ *   { kind: 'travel', points }          — fast move between segments, one
+ *                                          sample per point, blanked on Z
+ *
+ * Corner holds let the beam reach sharp corners instead of rounding them off.
+ * Fast travel replaces the slow, bright move between segments with a short
+ * jump, with anchor holds on both ends so the beam settles before drawing.
+ */
+function buildRuns(segments) {
+    const cornerDwell = Math.max(0, Math.round(settings.cornerDwell));
+    const cornerCos = Math.cos(settings.cornerAngle * Math.PI / 180);
+
+    let runs = [];
+    for (const seg of segments) {
+        if (cornerDwell > 0) {
+            splitAtCorners(seg, cornerCos, cornerDwell, runs);
+        } else {
+            runs.push({ kind: 'draw', points: seg });
+        }
+    }
+
+    if (settings.fastTravel) {
+        runs = addTravel(runs);
+    }
+    return runs;
+}
+
+/**
+ * Append a segment's runs to `runs`, with a hold at every point where the
+ * direction changes by more than the corner angle (including where a closed
+ * shape meets itself).
+ */
+function splitAtCorners(segment, cornerCos, samples, runs) {
+    const last = segment.length - 1;
+    const closed = segment.length > 2 && pointsTouch(segment[0], segment[last]);
+
+    if (closed && isCorner(segment[last - 1], segment[0], segment[1], cornerCos)) {
+        runs.push({ kind: 'hold', points: [segment[0]], samples });
+    }
+
+    let start = 0;
+    for (let i = 1; i < last; i++) {
+        if (isCorner(segment[i - 1], segment[i], segment[i + 1], cornerCos)) {
+            runs.push({ kind: 'draw', points: segment.slice(start, i + 1) });
+            runs.push({ kind: 'hold', points: [segment[i]], samples });
+            start = i;
+        }
+    }
+    runs.push({ kind: 'draw', points: segment.slice(start) });
+}
+
+function isCorner(a, b, c, cornerCos) {
+    const ux = b[0] - a[0];
+    const uy = b[1] - a[1];
+    const vx = c[0] - b[0];
+    const vy = c[1] - b[1];
+    const lengths = Math.sqrt((ux * ux + uy * uy) * (vx * vx + vy * vy));
+    if (lengths === 0) return false;
+    return (ux * vx + uy * vy) / lengths < cornerCos;
+}
+
+function pointsTouch(a, b) {
+    return (b[0] - a[0]) ** 2 + (b[1] - a[1]) ** 2 <= 1e-8;
+}
+
+/**
+ * Insert anchor holds and a travel move wherever consecutive runs don't
+ * touch, including the jump from the end of the frame back to its start.
+ */
+function addTravel(runs) {
+    const anchor = Math.max(0, Math.round(settings.anchorDwell));
+    const steps = Math.max(0, Math.round(settings.travelSamples));
+    const result = [];
+
+    for (let i = 0; i < runs.length; i++) {
+        result.push(runs[i]);
+
+        const next = runs[(i + 1) % runs.length];
+        const from = runs[i].points[runs[i].points.length - 1];
+        const to = next.points[0];
+        if (pointsTouch(from, to)) continue;
+
+        if (anchor > 0) {
+            result.push({ kind: 'hold', points: [from], samples: anchor });
+        }
+        if (steps > 0) {
+            const points = [];
+            for (let j = 1; j <= steps; j++) {
+                const t = j / (steps + 1);
+                points.push([from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t]);
+            }
+            result.push({ kind: 'travel', points });
+        }
+        if (anchor > 0) {
+            result.push({ kind: 'hold', points: [to], samples: anchor });
+        }
+    }
+
+    return result;
+}
+
 // ─── Points Mode Output ──────────────────────────────────────────────────────
 
-function outputPointsMode(segments, id, preview) {
+function outputPointsMode(runs, id, preview, frameStats) {
+    // A hold repeats the point the previous run ended on, so the run after
+    // it skips its (identical) first point to keep dwell counts exact
+    const skipFirst = runs.map((run, i) =>
+        run.kind === 'draw' && i > 0 && runs[i - 1].kind === 'hold' ? 1 : 0
+    );
+    const totalPoints = runs.reduce((sum, run, i) =>
+        sum + (run.kind === 'hold' ? run.samples : run.points.length - skipFirst[i]), 0);
+
     // Flatten to interleaved Float32Array [x0,y0, x1,y1, ...]
-    const totalPoints = segments.reduce((sum, seg) => sum + seg.length, 0);
     const interleaved = new Float32Array(totalPoints * 2);
+    const runStarts = [];
     let offset = 0;
-    for (const seg of segments) {
-        for (const [x, y] of seg) {
-            interleaved[offset++] = x;
-            interleaved[offset++] = y;
+    for (let i = 0; i < runs.length; i++) {
+        const run = runs[i];
+        runStarts.push(offset / 2);
+        if (run.kind === 'hold') {
+            const [x, y] = run.points[0];
+            for (let j = 0; j < run.samples; j++) {
+                interleaved[offset++] = x;
+                interleaved[offset++] = y;
+            }
+        } else {
+            for (let j = skipFirst[i]; j < run.points.length; j++) {
+                interleaved[offset++] = run.points[j][0];
+                interleaved[offset++] = run.points[j][1];
+            }
         }
     }
 
-    self.postMessage(
-        {
-            type: 'frameReady',
-            id,
-            interleaved,
-            segmentCount: segments.length,
-            pointCount: totalPoints,
-            previewData: preview.previewData,
-            segmentOffsets: preview.segmentOffsets
-        },
-        [interleaved.buffer, preview.previewData.buffer, preview.segmentOffsets.buffer]
-    );
+    const message = {
+        type: 'frameReady',
+        id,
+        interleaved,
+        pointCount: totalPoints,
+        ...frameStats,
+        previewData: preview.previewData,
+        segmentOffsets: preview.segmentOffsets
+    };
+    const transfer = [interleaved.buffer, preview.previewData.buffer, preview.segmentOffsets.buffer];
+
+    if (settings.zEnabled) {
+        message.blanking = createBlankingMask(runs, runStarts, totalPoints);
+        transfer.push(message.blanking.buffer);
+    }
+
+    self.postMessage(message, transfer);
 }
 
 // ─── Frequency Mode Output ───────────────────────────────────────────────────
 
-function outputFrequencyMode(segments, id, preview) {
+function outputFrequencyMode(runs, id, preview, frameStats) {
     // Interpolate into fixed-size left/right buffers
     const sampleRate = settings.sampleRate;
     const duration = 1 / settings.frequency;
@@ -165,49 +314,135 @@ function outputFrequencyMode(segments, id, preview) {
     const left = new Float32Array(bufferSize);
     const right = new Float32Array(bufferSize);
 
-    const totalPoints = segments.reduce((sum, seg) => sum + seg.length, 0);
-    if (totalPoints === 0) return;
+    const drawPoints = runs.reduce((sum, run) => sum + (run.kind === 'draw' ? run.points.length : 0), 0);
+    if (drawPoints === 0) {
+        // Nothing to draw: answer with an empty frame, like an empty input
+        self.postMessage({ type: 'frameReady', id, ...frameStats, segmentCount: 0, pointCount: 0 });
+        return;
+    }
+
+    // Holds and travel moves take a fixed number of samples; drawn runs share
+    // the rest by point count. Fixed runs are scaled down if they would take
+    // more than half the buffer.
+    let fixedSizes = runs.map(run =>
+        run.kind === 'hold' ? run.samples : run.kind === 'travel' ? run.points.length : 0
+    );
+    const fixedTotal = fixedSizes.reduce((sum, n) => sum + n, 0);
+    if (fixedTotal > bufferSize / 2) {
+        const scale = (bufferSize / 2) / fixedTotal;
+        fixedSizes = fixedSizes.map(n => Math.floor(n * scale));
+    }
+    const drawBudget = bufferSize - fixedSizes.reduce((sum, n) => sum + n, 0);
 
     let bufferOffset = 0;
+    let drawOffset = 0;
     let cumulativePoints = 0;
+    const runStarts = [];
+
+    for (let r = 0; r < runs.length; r++) {
+        const run = runs[r];
+        const points = run.points;
+        runStarts.push(bufferOffset);
+
+        if (run.kind !== 'draw') {
+            // Hold: repeat the point; travel: step through its points
+            const size = fixedSizes[r];
+            for (let i = 0; i < size; i++) {
+                const [x, y] = points[Math.floor(i * points.length / size)];
+                left[bufferOffset + i] = x;
+                right[bufferOffset + i] = y;
+            }
+            bufferOffset += size;
+            continue;
+        }
 
-    for (const segment of segments) {
-        cumulativePoints += segment.length;
-        const targetEndOffset = Math.round(bufferSize * cumulativePoints / totalPoints);
-        const segmentBufferSize = targetEndOffset - bufferOffset;
+        cumulativePoints += points.length;
+        const targetDrawEnd = Math.round(drawBudget * cumulativePoints / drawPoints);
+        const segmentBufferSize = targetDrawEnd - drawOffset;
+        drawOffset = targetDrawEnd;
 
         if (segmentBufferSize <= 0) continue;
 
         for (let i = 0; i < segmentBufferSize; i++) {
             const t = segmentBufferSize > 1 ? i / (segmentBufferSize - 1) : 0;
-            const pointIndex = t * (segment.length - 1);
+            const pointIndex = t * (points.length - 1);
             const index1 = Math.floor(pointIndex);
-            const index2 = Math.min(index1 + 1, segment.length - 1);
+            const index2 = Math.min(index1 + 1, points.length - 1);
             const frac = pointIndex - index1;
 
             const bufferIndex = bufferOffset + i;
             if (bufferIndex < bufferSize) {
-                left[bufferIndex] = segment[index1][0] * (1 - frac) + segment[index2][0] * frac;
-                right[bufferIndex] = segment[index1][1] * (1 - frac) + segment[index2][1] * frac;
+                left[bufferIndex] = points[index1][0] * (1 - frac) + points[index2][0] * frac;
+                right[bufferIndex] = points[index1][1] * (1 - frac) + points[index2][1] * frac;
             }
         }
 
-        bufferOffset = targetEndOffset;
-    }
-
-    self.postMessage(
-        {
-            type: 'frameReady',
-            id,
-            left,
-            right,
-            segmentCount: segments.length,
-            pointCount: bufferSize,
-            previewData: preview.previewData,
-            segmentOffsets: preview.segmentOffsets
-        },
-        [left.buffer, right.buffer, preview.previewData.buffer, preview.segmentOffsets.buffer]
-    );
+        bufferOffset += segmentBufferSize;
+    }
+
+    const message = {
+        type: 'frameReady',
+        id,
+        left,
+        right,
+        pointCount: bufferSize,
+        ...frameStats,
+        previewData: preview.previewData,
+        segmentOffsets: preview.segmentOffsets
+    };
+    const transfer = [left.buffer, right.buffer, preview.previewData.buffer, preview.segmentOffsets.buffer];
+
+    if (settings.zEnabled) {
+        message.blanking = createBlankingMask(runs, runStarts, bufferSize);
+        transfer.push(message.blanking.buffer);
+    }
+
+    self.postMessage(message, transfer);
+}
+
+// ─── Z Blanking ──────────────────────────────────────────────────────────────
+
+/**
+ * Build the Z-channel blanking mask for one output frame.
+ *
+ * Every place where the beam jumps — between two runs that don't touch,
+ * and from the end of the frame back to its start when it loops — is blanked
+ * from zLead samples before the jump until zLag samples after it. Fast
+ * travel moves are blanked over their whole length, with the same lead/lag.
+ *
+ * @param {Array} runs - Output runs in playback order (see buildRuns)
+ * @param {number[]} runStarts - Sample index at which each run starts
+ * @param {number} length - Number of samples in the frame
+ * @returns {Float32Array} 1 = blanked, 0 = beam on
+ */
+function createBlankingMask(runs, runStarts, length) {
+    const mask = new Float32Array(length);
+    if (length === 0) return mask;
+
+    // [start, end) sample ranges to blank, before lead/lag
+    const ranges = [];
+    for (let i = 0; i < runs.length; i++) {
+        // The jump into run 0 comes from the last run (frame loop)
+        const prev = runs[(i + runs.length - 1) % runs.length].points;
+        const from = prev[prev.length - 1];
+        const to = runs[i].points[0];
+        if (!pointsTouch(from, to)) {
+            ranges.push([runStarts[i], runStarts[i]]);
+        }
+        if (runs[i].kind === 'travel') {
+            const end = i + 1 < runs.length ? runStarts[i + 1] : length;
+            ranges.push([runStarts[i], end]);
+        }
+    }
+
+    const lead = Math.max(0, Math.round(settings.zLead));
+    const lag = Math.max(0, Math.round(settings.zLag));
+    for (const [start, end] of ranges) {
+        for (let i = start - lead; i < end + lag; i++) {
+            mask[((i % length) + length) % length] = 1;
+        }
+    }
+    return mask;
 }
 
 // ─── Preview Serialization ───────────────────────────────────────────────────
@@ -237,75 +472,192 @@ function serializePreview(segments) {
     return { previewData: data, segmentOffsets: offsets };
 }
 
-// ─── Segment Reordering ──────────────────────────────────────────────────────
+// ─── Simplification ──────────────────────────────────────────────────────────
+
+function countPoints(segments) {
+    return segments.reduce((sum, seg) => sum + seg.length, 0);
+}
 
 /**
- * Reorder segments to minimize beam travel distance (greedy nearest-neighbor).
- * @param {Array} segments - Array of segments, each is [[x,y], ...]
- * @param {Array|null} startPosition - [x,y] start point, or null to start from center
+ * Simplify every segment with the configured algorithm. Endpoints are
+ * always kept, so segment order and closed shapes are unaffected.
  */
-function optimizeSegmentOrder(segments, startPosition) {
-    if (segments.length <= 1) return segments;
-
-    const ordered = [];
-    const used = new Uint8Array(segments.length);
-
-    // Find starting segment
-    let startIdx = 0;
-    let minDist = Infinity;
-
-    if (startPosition) {
-        // Find segment closest to startPosition
-        const [sx, sy] = startPosition;
-        for (let i = 0; i < segments.length; i++) {
-            const s = segments[i];
-            const ds = (s[0][0] - sx) ** 2 + (s[0][1] - sy) ** 2;
-            const de = (s[s.length - 1][0] - sx) ** 2 + (s[s.length - 1][1] - sy) ** 2;
-            const d = Math.min(ds, de);
-            if (d < minDist) { minDist = d; startIdx = i; }
+function simplifySegments(segments) {
+    const tolerance = settings.simplifyTolerance;
+    if (tolerance <= 0) return segments;
+
+    if (settings.simplifyMode === 'rdp') {
+        return segments.map(seg => simplifyRDP(seg, tolerance));
+    } else if (settings.simplifyMode === 'visvalingam') {
+        return segments.map(seg => simplifyVisvalingam(seg, tolerance * tolerance));
+    }
+    return segments;
+}
+
+/**
+ * Ramer-Douglas-Peucker: keep the point farthest from the chord between
+ * two kept points while it deviates more than `tolerance`, recursively.
+ */
+function simplifyRDP(segment, tolerance) {
+    const n = segment.length;
+    if (n < 3) return segment;
+
+    const keep = new Uint8Array(n);
+    keep[0] = 1;
+    keep[n - 1] = 1;
+
+    // Explicit stack of [start, end] ranges instead of recursion
+    const stack = [0, n - 1];
+    while (stack.length > 0) {
+        const end = stack.pop();
+        const start = stack.pop();
+
+        let maxDist = 0;
+        let index = -1;
+        for (let i = start + 1; i < end; i++) {
+            const dist = distanceToChord(segment[i], segment[start], segment[end]);
+            if (dist > maxDist) {
+                maxDist = dist;
+                index = i;
+            }
         }
-        // Check if start or end is closer, and reverse if end is closer
-        const s = segments[startIdx];
-        const ds = (s[0][0] - startPosition[0]) ** 2 + (s[0][1] - startPosition[1]) ** 2;
-        const de = (s[s.length - 1][0] - startPosition[0]) ** 2 + (s[s.length - 1][1] - startPosition[1]) ** 2;
-        ordered.push(de < ds ? [...s].reverse() : s);
-    } else {
-        // Find segment closest to center (0,0)
-        for (let i = 0; i < segments.length; i++) {
-            const s = segments[i];
-            const ds = s[0][0] ** 2 + s[0][1] ** 2;
-            const de = s[s.length - 1][0] ** 2 + s[s.length - 1][1] ** 2;
-            const d = Math.min(ds, de);
-            if (d < minDist) { minDist = d; startIdx = i; }
+
+        if (maxDist > tolerance) {
+            keep[index] = 1;
+            stack.push(start, index, index, end);
         }
-        ordered.push(segments[startIdx]);
-    }
-    used[startIdx] = 1;
-
-    // Greedily pick nearest segment
-    for (let n = 1; n < segments.length; n++) {
-        const lastSeg = ordered[ordered.length - 1];
-        const lastEnd = lastSeg[lastSeg.length - 1];
-        let bestIdx = -1;
-        let bestDist = Infinity;
-        let reverse = false;
-
-        for (let i = 0; i < segments.length; i++) {
-            if (used[i]) continue;
-            const seg = segments[i];
-            const ds = (seg[0][0] - lastEnd[0]) ** 2 + (seg[0][1] - lastEnd[1]) ** 2;
-            const de = (seg[seg.length - 1][0] - lastEnd[0]) ** 2 + (seg[seg.length - 1][1] - lastEnd[1]) ** 2;
-            if (ds < bestDist) { bestDist = ds; bestIdx = i; reverse = false; }
-            if (de < bestDist) { bestDist = de; bestIdx = i; reverse = true; }
+    }
+
+    return segment.filter((_, i) => keep[i]);
+}
+
+/**
+ * Distance from point p to the line segment a–b (to a itself when a = b,
+ * which happens for closed shapes).
+ */
+function distanceToChord(p, a, b) {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSq = dx * dx + dy * dy;
+    let t = 0;
+    if (lengthSq > 0) {
+        t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq));
+    }
+    const ex = p[0] - (a[0] + t * dx);
+    const ey = p[1] - (a[1] + t * dy);
+    return Math.sqrt(ex * ex + ey * ey);
+}
+
+/**
+ * Visvalingam-Whyatt: repeatedly remove the point whose triangle with its
+ * neighbours has the smallest area, until every remaining one is ≥ minArea.
+ * Uses a min-heap with lazy deletion (stale entries are skipped on pop).
+ */
+function simplifyVisvalingam(segment, minArea) {
+    const n = segment.length;
+    if (n < 3) return segment;
+
+    const prev = new Int32Array(n);
+    const next = new Int32Array(n);
+    const area = new Float64Array(n);
+    const removed = new Uint8Array(n);
+    const heap = new AreaHeap();
+
+    for (let i = 0; i < n; i++) {
+        prev[i] = i - 1;
+        next[i] = i + 1;
+    }
+    area[0] = Infinity;
+    area[n - 1] = Infinity;
+    for (let i = 1; i < n - 1; i++) {
+        area[i] = triangleArea(segment[i - 1], segment[i], segment[i + 1]);
+        heap.push(i, area[i]);
+    }
+
+    while (heap.size > 0) {
+        const [i, a] = heap.pop();
+        if (removed[i] || a !== area[i]) continue;
+        if (a >= minArea) break;
+
+        removed[i] = 1;
+        const p = prev[i];
+        const q = next[i];
+        next[p] = q;
+        prev[q] = p;
+
+        // A neighbour's area never drops below the one just removed, so
+        // points are eliminated in a consistent order
+        if (p > 0) {
+            area[p] = Math.max(a, triangleArea(segment[prev[p]], segment[p], segment[q]));
+            heap.push(p, area[p]);
         }
+        if (q < n - 1) {
+            area[q] = Math.max(a, triangleArea(segment[p], segment[q], segment[next[q]]));
+            heap.push(q, area[q]);
+        }
+    }
 
-        if (bestIdx >= 0) {
-            used[bestIdx] = 1;
-            ordered.push(reverse ? [...segments[bestIdx]].reverse() : segments[bestIdx]);
+    return segment.filter((_, i) => !removed[i]);
+}
+
+function triangleArea(a, b, c) {
+    return Math.abs((b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1])) / 2;
+}
+
+/**
+ * Binary min-heap of (index, area) pairs.
+ */
+class AreaHeap {
+    constructor() {
+        this.indices = [];
+        this.areas = [];
+    }
+
+    get size() {
+        return this.indices.length;
+    }
+
+    push(index, area) {
+        const { indices, areas } = this;
+        let i = indices.length;
+        indices.push(index);
+        areas.push(area);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (areas[parent] <= areas[i]) break;
+            this.swap(i, parent);
+            i = parent;
         }
     }
 
-    return ordered;
+    pop() {
+        const { indices, areas } = this;
+        const top = [indices[0], areas[0]];
+        const lastIndex = indices.pop();
+        const lastArea = areas.pop();
+        if (indices.length > 0) {
+            indices[0] = lastIndex;
+            areas[0] = lastArea;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < areas.length && areas[left] < areas[smallest]) smallest = left;
+                if (right < areas.length && areas[right] < areas[smallest]) smallest = right;
+                if (smallest === i) break;
+                this.swap(i, smallest);
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    swap(a, b) {
+        const { indices, areas } = this;
+        [indices[a], indices[b]] = [indices[b], indices[a]];
+        [areas[a], areas[b]] = [areas[b], areas[a]];
+    }
 }
 
 // ─── Uniform Resampling ──────────────────────────────────────────────────────
@@ -1,5 +1,8 @@
 // Physics simulation and rendering worker with OffscreenCanvas
 import { RendererManager, RendererType } from './renderers/renderer-manager.js';
+import { measureChannel, measurePhase } from '../utils/measurements.js';
+import { SpectrumAnalyser, frequencyAtPosition } from '../utils/spectrum.js';
+import { DEFAULT_PHOSPHOR, getPhosphor } from '../utils/phosphors.js';
 
 let beamX = 0;
 let beamY = 0;
@@ -17,6 +20,37 @@ let logicalHeight = 600;
 let currentRendererType = RendererType.CANVAS_2D;
 let renderSkipLogged = false; // Debug flag for one-time logging
 let lastLaserOutput = false; // Track laser output changes
+let currentPhosphor = null; // Phosphor type passed to the renderer
+let currentScreenEffects = null; // Screen effects passed to the renderer
+
+// Single-shot trigger: armed until a sweep triggers, then the captured sweep
+// is redrawn until the trigger is re-armed
+let singleArmed = true;
+let singleCapture = null; // { processedLeft, processedRight, zIntensity, triggerIndex }
+let lastTriggerMode = 'auto';
+
+// Chopped dual-trace display: the beam switches between channels at the chop
+// frequency, free-running against the sweep like a real chop oscillator
+const CHOP_FREQUENCY = 8000; // Hz
+let chopPhase = 0;           // Samples into the current chop cycle
+
+// Alternate dual-trace display: one sweep draws A, the next one B
+let altChannel = 'a';
+
+// Automatic measurements are sent a few times per second, like a DSO readout
+const MEASUREMENT_INTERVAL = 0.25; // seconds
+let measurementTimer = MEASUREMENT_INTERVAL;
+
+// FFT display: averaging and peak hold carry over between frames
+const SPECTRUM_POINTS = 500;         // Beam targets across the screen
+const SPECTRUM_PEAK_INTENSITY = 0.5; // The held peak trace is drawn dimmer
+const spectrumAnalyser = new SpectrumAnalyser();
+let lastSpectrumSource = 'a';
+
+// Storage: reference traces overlaid on the live trace, and a pending
+// request to capture the next frame's traces into a reference memory
+let references = [];              // [{ color: [r, g, b], traces: [[{ x, y, blank, intensity }]] }]
+let pendingReferenceSlot = null;
 
 // ============================================================================
 // VIRTUAL COORDINATE SYSTEM
@@ -133,32 +167,93 @@ function calculatePhosphorExcitation(speed, velocityDimming, basePower, deltaTim
     return Math.max(0, Math.min(1, brightness));
 }
 
-// Find trigger point: looks for rising edge where signal crosses trigger level
-function findTriggerPoint(data, triggerLevel) {
-    // Start search from 10% into the buffer to avoid edge effects
-    const startSearch = Math.floor(data.length * 0.1);
+// Trigger coupling filter cutoff in Hz. Bench scopes use ~50 kHz; scaled
+// down here to suit audio-rate signals.
+const TRIGGER_FILTER_CUTOFF = 1000;
+
+// Apply trigger coupling to the trigger source. Only the trigger sees this;
+// the displayed trace is unaffected, like on a real scope.
+//   'dc'  - signal as is
+//   'ac'  - DC removed (buffer mean)
+//   'hf'  - HF reject: one-pole low-pass, ignores noise and fast edges
+//   'lf'  - LF reject: one-pole high-pass, ignores DC, hum and slow drift
+function coupleTriggerSignal(data, coupling, sampleRate) {
+    if (coupling === 'dc') return data;
+
+    const result = new Float32Array(data.length);
+
+    if (coupling === 'ac') {
+        let mean = 0;
+        for (let i = 0; i < data.length; i++) mean += data[i];
+        mean /= data.length;
+        for (let i = 0; i < data.length; i++) result[i] = data[i] - mean;
+        return result;
+    }
+
+    const rc = 1 / (2 * Math.PI * TRIGGER_FILTER_CUTOFF);
+    const dt = 1 / sampleRate;
 
-    for (let i = startSearch; i < data.length - 1; i++) {
-        // Rising edge: previous sample below trigger, current sample above
-        if (data[i] <= triggerLevel && data[i + 1] > triggerLevel) {
-            return i + 1;
+    if (coupling === 'hf') {
+        const alpha = dt / (rc + dt);
+        let y = data[0];
+        for (let i = 0; i < data.length; i++) {
+            y += alpha * (data[i] - y);
+            result[i] = y;
+        }
+    } else if (coupling === 'lf') {
+        const alpha = rc / (rc + dt);
+        let y = 0;
+        for (let i = 1; i < data.length; i++) {
+            y = alpha * (y + data[i] - data[i - 1]);
+            result[i] = y;
         }
     }
 
-    // No trigger found, return start position
-    return 0;
+    return result;
+}
+
+function crossesLevel(previous, current, level, slope) {
+    const rising = previous <= level && current > level;
+    const falling = previous >= level && current < level;
+    if (slope === 'rising') return rising;
+    if (slope === 'falling') return falling;
+    return rising || falling;
+}
+
+// Find the trigger point for a sweep of `sweepLength` samples.
+// Like a real timebase, a sweep can only start once the previous sweep and
+// the holdoff after it have passed, so triggers are followed in a chain
+// through the buffer. The chain locks onto the signal's repetition, and the
+// last sweep that fits in the buffer is the one shown (the most recent).
+// Returns -1 when the signal never crosses the level.
+function findTriggerPoint(data, triggerLevel, slope, sweepLength, holdoffSamples) {
+    let found = -1;
+    let nextAllowed = 1;
+
+    for (let i = 1; i < data.length; i++) {
+        if (i < nextAllowed) continue;
+        if (!crossesLevel(data[i - 1], data[i], triggerLevel, slope)) continue;
+
+        // Keep the first trigger even if its sweep runs off the end
+        if (found >= 0 && i + sweepLength > data.length) break;
+        found = i;
+        nextAllowed = i + sweepLength + holdoffSamples;
+    }
+
+    return found;
 }
 
 // ============================================================================
 // STAGE A: SIGNAL PROCESSING
-// Add noise to raw audio data (only for generated input, not microphone)
+// Add noise to raw audio data (only for generated input, not real signals),
+// and limit each channel to its amplifier's bandwidth
 // ============================================================================
 function processSignals(leftData, rightData, signalNoise, inputSource) {
     const processedLeft = [];
     const processedRight = [];
 
-    // Only add noise for generated input - microphone already has natural noise
-    const shouldAddNoise = signalNoise > 0 && inputSource !== 'microphone';
+    // Only add noise for generated input - microphone and media already have natural noise
+    const shouldAddNoise = signalNoise > 0 && inputSource === 'generated';
 
     for (let i = 0; i < leftData.length; i++) {
         let left = leftData[i];
@@ -177,12 +272,50 @@ function processSignals(leftData, rightData, signalNoise, inputSource) {
     return { processedLeft, processedRight };
 }
 
+// Finite bandwidth of a vertical amplifier: a one-pole low-pass with its
+// -3 dB point at `bandwidth` Hz, which gives a rise time of about
+// 0.35 / bandwidth. The whole buffer is filtered every frame, starting from
+// its first sample. 0 (or anything above Nyquist) is the full bandwidth.
+function limitBandwidth(data, bandwidth, sampleRate) {
+    if (!(bandwidth > 0) || bandwidth >= sampleRate / 2) return data;
+
+    const rc = 1 / (2 * Math.PI * bandwidth);
+    const dt = 1 / sampleRate;
+    const alpha = dt / (rc + dt);
+
+    const result = new Float32Array(data.length);
+    let y = data[0];
+    for (let i = 0; i < data.length; i++) {
+        y += alpha * (data[i] - y);
+        result[i] = y;
+    }
+    return result;
+}
+
+// Derive the per-sample beam current (0..1) from the Z (intensity) input.
+// Like the Z input of a real scope, a signal of the blanking polarity dims
+// the beam, reaching full blanking at zLevel; the generator's blanking
+// channel (0 or ±level) therefore switches the beam off and on, while an
+// analog Z signal modulates the brightness.
+function createZIntensity(zData, zPolarity, zLevel) {
+    if (!zData) return null;
+    const level = Math.max(1e-3, zLevel);
+    const intensity = new Float32Array(zData.length);
+    let anyDimmed = false;
+    for (let i = 0; i < zData.length; i++) {
+        const value = Math.max(0, Math.min(1, 1 - zData[i] * zPolarity / level));
+        intensity[i] = value;
+        if (value < 0.999) anyDimmed = true;
+    }
+    return anyDimmed ? intensity : null;
+}
+
 // ============================================================================
 // STAGE B: INTERPRETATION
 // Convert processed signals to target coordinates in VIRTUAL space [-1, 1]
 // Audio signals are already normalized, so they map directly to virtual coordinates
 // ============================================================================
-function interpretSignals(processedLeft, processedRight, mode, scale, visibleScale, centerX, centerY, canvasWidth, timeDiv, triggerLevel, triggerChannel, amplDivA, positionA, amplDivB, positionB, xPosition, visibleWidth, sampleRate, decay) {
+function interpretSignals(processedLeft, processedRight, mode, scale, visibleScale, centerX, centerY, canvasWidth, timeDiv, triggerIndex, amplDivA, positionA, amplDivB, positionB, xPosition, visibleWidth, sampleRate, xyWindow, zIntensity = null, invertB = false, chopStart = 0) {
     const targets = [];
 
     // Use amplitude directly (already calculated from base * fine in UI)
@@ -204,8 +337,8 @@ function interpretSignals(processedLeft, processedRight, mode, scale, visibleSca
         const xOffset = xPosition * VIRTUAL_VISIBLE_WIDTH;
 
         // Use only the most recent samples to avoid overdraw from large buffer
-        // Decay parameter controls how many points to render
-        const startIdx = Math.max(0, processedLeft.length - decay);
+        // The XY window (decay time or one generator frame) sets how many
+        const startIdx = Math.max(0, processedLeft.length - xyWindow);
 
         for (let i = startIdx; i < processedLeft.length; i++) {
             // Left channel (A) controls horizontal with AMPL/DIV A and POSITION A
@@ -215,37 +348,36 @@ function interpretSignals(processedLeft, processedRight, mode, scale, visibleSca
 
             // Right channel (B) controls vertical with AMPL/DIV B and POSITION B (but inverted for Y axis)
             const posOffsetB = positionB * VIRTUAL_AMPL_SCALE * 2;
-            const targetY = -processedRight[i] * VIRTUAL_AMPL_SCALE / expAmplDivB + posOffsetB;
+            const right = invertB ? -processedRight[i] : processedRight[i];
+            const targetY = -right * VIRTUAL_AMPL_SCALE / expAmplDivB + posOffsetB;
 
-            targets.push({ x: targetX, y: targetY });
+            targets.push({ x: targetX, y: targetY, blank: false, intensity: zIntensity?.[i] });
         }
     } else {
-        // A or B mode: Time-based waveform with triggering
-        const channelData = mode === 'a' ? processedLeft : processedRight;
-
-        // Use the appropriate channel controls (with exponential curve applied)
-        const amplDiv = mode === 'a' ? expAmplDivA : expAmplDivB;
-        const position = mode === 'a' ? positionA : positionB;
-
-        // Find trigger point based on triggerChannel (not display mode)
-        // This allows both channels to sync to the same trigger source
-        const triggerData = triggerChannel === 'a' ? processedLeft : processedRight;
-        const triggerIndex = findTriggerPoint(triggerData, triggerLevel);
-
-        // Calculate how many samples to display based on TIME/DIV
-        // timeDiv is in microseconds, convert to seconds and multiply by 10 divisions
-        const timePerDiv = timeDiv / 1000000; // Convert microseconds to seconds
-        const totalTime = timePerDiv * 10; // 10 divisions across the screen
-        // For time domain, use exact samples needed for TIME/DIV (don't limit by decay)
-        // Decay is only for XY mode overdraw prevention
-        const samplesToDisplay = Math.min(
-            Math.floor(sampleRate * totalTime),
-            channelData.length
-        );
+        // Time-based waveform with triggering:
+        //   'a' / 'b' - one channel
+        //   'add'     - A + B (A − B with channel B inverted), both channels'
+        //               AMPL/DIV and POSITION apply to their own part
+        //   'chop'    - the beam switches between A and B every half chop
+        //               period; the switching moves are blanked
+        // No trigger (normal mode or an armed single shot): no sweep
+        if (triggerIndex < 0) return targets;
+
+        const signB = invertB ? -1 : 1;
+        // Vertical deflection of one channel, with the position offset
+        const deflectA = (i) => -processedLeft[i] * VIRTUAL_AMPL_SCALE / expAmplDivA + positionA * VIRTUAL_AMPL_SCALE * 2;
+        const deflectB = (i) => -signB * processedRight[i] * VIRTUAL_AMPL_SCALE / expAmplDivB + positionB * VIRTUAL_AMPL_SCALE * 2;
+
+        const chopHalf = Math.max(1, Math.round(sampleRate / CHOP_FREQUENCY / 2));
+        const channelAt = (relativeIndex) => Math.floor((chopStart + relativeIndex) / chopHalf) % 2;
+
+        // For time domain, use exact samples needed for TIME/DIV (don't limit by the XY window)
+        // The XY window is only for XY mode overdraw prevention
+        const samplesToDisplay = getSweepLength(timeDiv, sampleRate, processedLeft.length);
 
         // Determine start and end indices
         const startIndex = triggerIndex;
-        const endIndex = Math.min(startIndex + samplesToDisplay, channelData.length);
+        const endIndex = Math.min(startIndex + samplesToDisplay, processedLeft.length);
 
         // X position offset in virtual space
         const xOffset = xPosition * VIRTUAL_VISIBLE_WIDTH;
@@ -259,20 +391,179 @@ function interpretSignals(processedLeft, processedRight, mode, scale, visibleSca
             const targetX = (relativeIndex / samplesToDisplay) * VIRTUAL_VISIBLE_WIDTH - VIRTUAL_VISIBLE_WIDTH / 2 + xOffset;
             // Y position is based on amplitude with AMPL/DIV and Y position offset
             // Use VIRTUAL_AMPL_SCALE for amplitude calculations
-            const yOffset = position * VIRTUAL_AMPL_SCALE * 2; // Scale the position offset
-            const targetY = -channelData[i] * VIRTUAL_AMPL_SCALE / amplDiv + yOffset;
-            targets.push({ x: targetX, y: targetY });
+            let targetY;
+            let blank = false;
+            if (mode === 'a') {
+                targetY = deflectA(i);
+            } else if (mode === 'b') {
+                targetY = deflectB(i);
+            } else if (mode === 'add') {
+                targetY = deflectA(i) + deflectB(i);
+            } else {
+                const channel = channelAt(relativeIndex);
+                targetY = channel === 0 ? deflectA(i) : deflectB(i);
+                // Blank the beam while it jumps to the other channel
+                if (relativeIndex > 0 && channel !== channelAt(relativeIndex - 1)) {
+                    blank = true;
+                }
+            }
+            targets.push({ x: targetX, y: targetY, blank, intensity: zIntensity?.[i] });
         }
     }
 
     return targets;
 }
 
+// Calculate how many samples one sweep covers based on TIME/DIV
+// timeDiv is in microseconds, convert to seconds and multiply by 10 divisions
+// Spectrum trace in virtual space: frequency across the screen (linear or
+// log), level down from 0 dBFS at the top graticule line. Levels below the
+// bottom line rest on it, like the noise floor of an analyser.
+function interpretSpectrum(levels, scale, dbPerDiv, sampleRate, intensity = 1) {
+    const VIRTUAL_VISIBLE_WIDTH = 1.333;
+    const half = VIRTUAL_VISIBLE_WIDTH / 2;
+    const division = VIRTUAL_VISIBLE_WIDTH / 10;
+    const binWidth = sampleRate / 2 / levels.length;
+    const last = levels.length - 1;
+
+    const levelAt = (position) => {
+        const bin = Math.min(last, frequencyAtPosition(position, scale, sampleRate) / binWidth);
+        const k = Math.floor(bin);
+        const next = Math.min(last, k + 1);
+        return levels[k] + (levels[next] - levels[k]) * (bin - k);
+    };
+
+    const targets = [];
+    for (let p = 0; p < SPECTRUM_POINTS; p++) {
+        const from = frequencyAtPosition(p / SPECTRUM_POINTS, scale, sampleRate) / binWidth;
+        const to = frequencyAtPosition((p + 1) / SPECTRUM_POINTS, scale, sampleRate) / binWidth;
+
+        // Several bins per point: show the strongest, so narrow peaks don't
+        // disappear; less than one: interpolate between bins
+        let level;
+        if (to - from >= 1) {
+            level = -Infinity;
+            for (let k = Math.ceil(from); k < to && k <= last; k++) {
+                level = Math.max(level, levels[k]);
+            }
+        } else {
+            level = levelAt((p + 0.5) / SPECTRUM_POINTS);
+        }
+
+        const x = (p / (SPECTRUM_POINTS - 1)) * VIRTUAL_VISIBLE_WIDTH - half;
+        const y = Math.max(-half, Math.min(half, -half - level / dbPerDiv * division));
+        targets.push({ x, y, blank: false, intensity });
+    }
+
+    return targets;
+}
+
+function getSweepLength(timeDiv, sampleRate, bufferLength) {
+    const timePerDiv = timeDiv / 1000000; // Convert microseconds to seconds
+    const totalTime = timePerDiv * 10; // 10 divisions across the screen
+    return Math.min(Math.floor(sampleRate * totalTime), bufferLength);
+}
+
+// Decide where the sweep starts for this frame, following the trigger mode:
+//   'auto'   - free-runs from the start of the buffer when nothing triggers
+//   'normal' - no sweep until the trigger fires
+//   'single' - one sweep when armed, which is kept until re-armed
+// Returns the frame to draw (live or captured) and the trigger status.
+function runTrigger(frame, options) {
+    const { triggerLevel, triggerChannel, triggerSlope, triggerCoupling, triggerHoldoff, triggerMode, timeDiv, sampleRate } = options;
+
+    if (triggerMode === 'single' && lastTriggerMode !== 'single') {
+        armSingleTrigger();
+    }
+    lastTriggerMode = triggerMode;
+
+    if (triggerMode === 'single' && !singleArmed) {
+        return { frame: singleCapture, triggered: false, armed: false };
+    }
+
+    const source = triggerChannel === 'a' ? frame.processedLeft : frame.processedRight;
+    const sweepLength = getSweepLength(timeDiv, sampleRate, source.length);
+    const holdoffSamples = Math.round(triggerHoldoff / 1000 * sampleRate);
+    const coupled = coupleTriggerSignal(source, triggerCoupling, sampleRate);
+    const index = findTriggerPoint(coupled, triggerLevel, triggerSlope, sweepLength, holdoffSamples);
+    const triggered = index >= 0;
+
+    if (triggerMode === 'single') {
+        if (!triggered) {
+            return { frame: { ...frame, triggerIndex: -1 }, triggered: false, armed: true };
+        }
+        singleCapture = { ...frame, triggerIndex: index };
+        singleArmed = false;
+        return { frame: singleCapture, triggered: true, armed: false };
+    }
+
+    const triggerIndex = triggered ? index : (triggerMode === 'auto' ? 0 : -1);
+    return { frame: { ...frame, triggerIndex }, triggered, armed: false };
+}
+
+function armSingleTrigger() {
+    singleArmed = true;
+    singleCapture = null;
+}
+
 // ============================================================================
 // STAGE C: PHYSICS SIMULATION - Electromagnetic Deflection Model
 // Simulates realistic CRT electron beam deflection by electromagnetic coils in VIRTUAL space
 // Physics operates in resolution-independent virtual coordinates
 // ============================================================================
+// Half the visible screen in virtual units (the 400px screen of a 600px canvas)
+const SCREEN_HALF_WIDTH = 0.667;
+
+// Deflection amplifier compression: a soft clip that squeezes deflections
+// towards the edge of the screen. amount 0 is linear; at 1 a deflection to
+// the edge lands about a quarter short of it.
+function compressDeflection(targets, amount) {
+    if (!(amount > 0)) return targets;
+
+    const limit = SCREEN_HALF_WIDTH / amount;
+    return targets.map(t => ({
+        ...t,
+        x: limit * Math.tanh(t.x / limit),
+        y: limit * Math.tanh(t.y / limit)
+    }));
+}
+
+// Geometry of the tube face, like the projector's correction in
+// LaserRenderer (amounts -1..1, coordinates relative to the screen edge):
+//   pincushion - corners pulled out (> 0, pincushion) or in (< 0, barrel)
+//   keystone   - top of the screen wider (> 0) or narrower (< 0) than the bottom
+function distortGeometry(targets, pincushion, keystone) {
+    if (!pincushion && !keystone) return targets;
+
+    return targets.map(t => {
+        const u = t.x / SCREEN_HALF_WIDTH;
+        const v = t.y / SCREEN_HALF_WIDTH;
+        const radial = 1 + pincushion * (u * u + v * v) * 0.1;
+        const width = 1 - keystone * v * 0.15; // virtual y points down
+        return {
+            ...t,
+            x: t.x * radial * width,
+            y: t.y * radial
+        };
+    });
+}
+
+// Trace rotation: the tube's rotation coil turns the whole deflection about
+// the centre of the screen, so the trace can be lined up with the graticule.
+// Angle in degrees, counterclockwise (virtual space has y pointing down).
+function rotateTargets(targets, degrees) {
+    if (!degrees) return targets;
+
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return targets.map(t => ({
+        ...t,
+        x: t.x * cos + t.y * sin,
+        y: -t.x * sin + t.y * cos
+    }));
+}
+
 function simulatePhysics(targets, forceMultiplier, damping, mass, scale, centerX, centerY, canvasWidth, canvasHeight) {
     const points = [];
     const speeds = [];
@@ -381,10 +672,13 @@ function catmullRomInterpolate(p0, p1, p2, p3, t) {
     };
 }
 
-function interpolatePoints(points, speeds, targetTimePerPoint, actualTimePerPoint) {
+// Optional per-point intensities (0..1) are carried along; an interpolated
+// point takes the lower intensity of its two neighbours so a blanked sample
+// also blanks the lines leading into and out of it.
+function interpolatePoints(points, speeds, targetTimePerPoint, actualTimePerPoint, intensities = null) {
     // If target resolution is coarser than actual, no interpolation needed
     if (targetTimePerPoint >= actualTimePerPoint) {
-        return { points, speeds, isInterpolated: new Array(points.length).fill(false) };
+        return { points, speeds, intensities, isInterpolated: new Array(points.length).fill(false) };
     }
 
     // Calculate how many interpolated points we need between each pair
@@ -392,6 +686,7 @@ function interpolatePoints(points, speeds, targetTimePerPoint, actualTimePerPoin
 
     const interpolatedPoints = [];
     const interpolatedSpeeds = [];
+    const interpolatedIntensities = intensities ? [] : null;
     const isInterpolated = []; // Track which points are interpolated vs original
 
     for (let i = 0; i < points.length; i++) {
@@ -404,6 +699,7 @@ function interpolatePoints(points, speeds, targetTimePerPoint, actualTimePerPoin
         // Add the actual sample point
         interpolatedPoints.push(p1);
         interpolatedSpeeds.push(speeds[i] || 0);
+        interpolatedIntensities?.push(intensities[i]);
         isInterpolated.push(false); // This is an original sample point
 
         // Add interpolated points between p1 and p2 (except for last point)
@@ -417,6 +713,7 @@ function interpolatePoints(points, speeds, targetTimePerPoint, actualTimePerPoin
                 const speed1 = speeds[i] || 0;
                 const speed2 = speeds[i + 1] || 0;
                 interpolatedSpeeds.push(speed1 + (speed2 - speed1) * t);
+                interpolatedIntensities?.push(Math.min(intensities[i], intensities[i + 1]));
                 isInterpolated.push(true); // This is an interpolated point
             }
         }
@@ -425,6 +722,7 @@ function interpolatePoints(points, speeds, targetTimePerPoint, actualTimePerPoin
     return {
         points: interpolatedPoints,
         speeds: interpolatedSpeeds,
+        intensities: interpolatedIntensities,
         isInterpolated: isInterpolated
     };
 }
@@ -677,6 +975,36 @@ self.onmessage = async function(e) {
         return;
     }
 
+    if (type === 'armTrigger') {
+        armSingleTrigger();
+        return;
+    }
+
+    if (type === 'resetSpectrum') {
+        spectrumAnalyser.reset();
+        return;
+    }
+
+    if (type === 'captureReference') {
+        pendingReferenceSlot = data.slot;
+        return;
+    }
+
+    if (type === 'setReferences') {
+        // Stored as flat [x, y, intensity, ...] arrays, in virtual coordinates
+        references = data.references.map(({ color, traces }) => ({
+            color,
+            traces: traces.map(flat => {
+                const targets = [];
+                for (let i = 0; i + 2 < flat.length; i += 3) {
+                    targets.push({ x: flat[i], y: flat[i + 1], blank: false, intensity: flat[i + 2] });
+                }
+                return targets;
+            })
+        }));
+        return;
+    }
+
     if (type === 'reset') {
         beamX = 0;
         beamY = 0;
@@ -706,12 +1034,14 @@ self.onmessage = async function(e) {
         const {
             leftData,
             rightData,
+            zData = null,
+            zPolarity = 1,
+            zLevel = 1,
             centerX,
             centerY,
             scale,
             visibleScale,
             debugMode,
-            bloomEnabled,
             timeSegment,
             dotOpacity,
             dotSizeVariation,
@@ -723,12 +1053,42 @@ self.onmessage = async function(e) {
             inputSource,
             basePower,
             persistence,
+            infinitePersistence = false,
+            phosphor = DEFAULT_PHOSPHOR,
             velocityDimming,
-            decay,
+            // Screen effects: glow amounts, faceplate curvature and glass reflection
+            bloom = 1,
+            halation = 0,
+            curvature = 0,
+            reflection = false,
+            canvasGlow = false,
+            astigRatio = 1,
+            astigAngle = 0,
+            traceRotation = 0,
+            // Distortion model: amplifier bandwidth (Hz, 0 = full) and
+            // compression, and the geometry of the tube face
+            bandwidthA = 0,
+            bandwidthB = 0,
+            compression = 0,
+            pincushion = 0,
+            keystone = 0,
+            decay = 10,
+            frameLength = 0,
             mode,
             timeDiv,
             triggerLevel,
             triggerChannel,
+            triggerSlope = 'rising',
+            triggerCoupling = 'dc',
+            triggerHoldoff = 0,
+            triggerMode = 'auto',
+            invertB = false,
+            fftSource = 'a',
+            fftScale = 'linear',
+            fftWindow = 'hann',
+            fftDbPerDiv = 10,
+            fftAveraging = 1,
+            fftPeakHold = false,
             amplDivA,
             positionA,
             amplDivB,
@@ -775,7 +1135,19 @@ self.onmessage = async function(e) {
         // Higher beam intensity excites phosphor more, resulting in longer visible trails
         // basePower range: 0.2 (min) to 3.0 (max) → intensity boost: 0 to 0.3
         const intensityBoost = ((smoothedBasePower - 0.2) / 2.8) * 0.3;
-        const effectivePersistence = Math.min(0.99, persistence + intensityBoost);
+        // Infinite persistence (storage) never fades: everything drawn stays
+        const effectivePersistence = infinitePersistence ? 1 : Math.min(0.99, persistence + intensityBoost);
+
+        if (phosphor !== currentPhosphor) {
+            rendererManager.setPhosphor(getPhosphor(phosphor));
+            currentPhosphor = phosphor;
+        }
+
+        const screenEffects = { bloom, halation, curvature, reflection, canvasGlow, screenSize: visibleWidth / canvasWidth };
+        if (!currentScreenEffects || Object.keys(screenEffects).some(key => screenEffects[key] !== currentScreenEffects[key])) {
+            rendererManager.setScreenEffects(screenEffects);
+            currentScreenEffects = screenEffects;
+        }
 
         rendererManager.clearWithPersistence(effectivePersistence, canvasWidth, canvasHeight);
 
@@ -784,18 +1156,118 @@ self.onmessage = async function(e) {
         // ========================================================================
 
         // STAGE A: Signal Processing - Add noise to raw audio data (only for generated input)
-        const { processedLeft, processedRight } = processSignals(leftData, rightData, signalNoise, inputSource);
+        const live = processSignals(leftData, rightData, signalNoise, inputSource);
+        // Kept with the frame for the measurements, which read the input itself
+        live.rawLeft = leftData;
+        live.rawRight = rightData;
+
+        // Each channel's vertical amplifier only passes its bandwidth
+        live.processedLeft = limitBandwidth(live.processedLeft, bandwidthA, sampleRate);
+        live.processedRight = limitBandwidth(live.processedRight, bandwidthB, sampleRate);
+
+        // Beam current from the Z input: the generator's blanking channel or a
+        // third microphone/line channel (null when unused or nothing is dimmed)
+        live.zIntensity = createZIntensity(zData, zPolarity, zLevel);
+
+        // Trigger (time-domain modes only). Both channels sweep from the same
+        // trigger source; a single shot keeps drawing the sweep it captured.
+        let frame = live;
+        let triggerStatus = { triggered: false, armed: false };
+        if (mode !== 'xy' && mode !== 'fft') {
+            const result = runTrigger(live, { triggerLevel, triggerChannel, triggerSlope, triggerCoupling, triggerHoldoff, triggerMode, timeDiv, sampleRate });
+            frame = result.frame;
+            triggerStatus = { triggered: result.triggered, armed: result.armed };
+        }
+        const { processedLeft, processedRight, zIntensity, triggerIndex = -1 } = frame;
+        // A held single shot is redrawn, not swept again
+        const newSweep = triggerIndex >= 0 && !(triggerMode === 'single' && !triggerStatus.triggered);
+
+        // Automatic measurements of the input samples (without the simulated
+        // noise and bandwidth) of the sweep on screen — the captured one in
+        // single mode. Without a sweep (X-Y, FFT, untriggered) the whole
+        // buffer is measured.
+        let measurements = null;
+        measurementTimer += deltaTime;
+        if (measurementTimer >= MEASUREMENT_INTERVAL) {
+            measurementTimer = 0;
+            let { rawLeft, rawRight } = frame;
+            if (triggerIndex >= 0) {
+                const end = triggerIndex + getSweepLength(timeDiv, sampleRate, rawLeft.length);
+                rawLeft = rawLeft.slice(triggerIndex, end);
+                rawRight = rawRight.slice(triggerIndex, end);
+            }
+            const a = measureChannel(rawLeft, sampleRate);
+            const b = measureChannel(rawRight, sampleRate);
+            measurements = { a, b, phase: measurePhase(rawLeft, rawRight, sampleRate, a.frequency), sampleRate };
+        }
+
+        // The chop oscillator keeps running between frames
+        const chopPeriod = 2 * Math.max(1, Math.round(sampleRate / CHOP_FREQUENCY / 2));
+        chopPhase = (chopPhase + Math.round(sampleRate * deltaTime)) % chopPeriod;
+
+        // XY window in samples: one frame of the generator when synced, so a
+        // repeating frame is drawn exactly once, otherwise the decay time
+        const xyWindow = frameLength > 0 ? frameLength : Math.max(1, Math.round(decay * sampleRate / 1000));
+
+        // STAGE B: Interpretation - Convert signals to target coordinates based on mode.
+        // Each trace is drawn as a separate pass of the beam.
+        let traces;
+        if (mode === 'fft') {
+            // Spectrum of one channel, with the held peaks as a second, dimmer trace
+            if (fftSource !== lastSpectrumSource) {
+                spectrumAnalyser.reset();
+                lastSpectrumSource = fftSource;
+            }
+            const source = fftSource === 'a' ? processedLeft : processedRight;
+            const { levels, peak } = spectrumAnalyser.process(source, { window: fftWindow, averaging: fftAveraging, peakHold: fftPeakHold });
+            traces = [interpretSpectrum(levels, fftScale, fftDbPerDiv, sampleRate)];
+            if (peak) {
+                traces.push(interpretSpectrum(peak, fftScale, fftDbPerDiv, sampleRate, SPECTRUM_PEAK_INTENSITY));
+            }
+        } else {
+            // ALT mode ('ab'): each sweep draws one channel, switching to the
+            // other once the sweep has run. Without a new sweep (or while a
+            // single shot is held) nothing switches.
+            let modesToRender = [mode];
+            if (mode === 'ab') {
+                modesToRender = [altChannel];
+                if (newSweep) {
+                    altChannel = altChannel === 'a' ? 'b' : 'a';
+                }
+            }
+            traces = modesToRender.map(currentMode =>
+                interpretSignals(processedLeft, processedRight, currentMode, scale, visibleScale, centerX, centerY, canvasWidth, timeDiv, triggerIndex, amplDivA, positionA, amplDivB, positionB, xPosition, visibleWidth, sampleRate, xyWindow, zIntensity, invertB, chopPhase)
+            );
+        }
 
-        // Handle A/B mode: render both channels sequentially
-        const modesToRender = mode === 'ab' ? ['a', 'b'] : [mode];
+        // Store this frame's traces in a reference memory when asked to
+        if (pendingReferenceSlot !== null) {
+            const captured = traces.filter(targets => targets.length > 1).map(targets => {
+                const flat = new Float32Array(targets.length * 3);
+                targets.forEach((t, i) => {
+                    flat[i * 3] = t.x;
+                    flat[i * 3 + 1] = t.y;
+                    flat[i * 3 + 2] = t.blank ? 0 : (t.intensity ?? 1);
+                });
+                return flat;
+            });
+            self.postMessage({ type: 'referenceCaptured', slot: pendingReferenceSlot, traces: captured });
+            pendingReferenceSlot = null;
+        }
 
         // Collect all points for laser output (in virtual coordinates)
         let laserPoints = laserOutput ? [] : null;
         let laserSpeeds = laserOutput ? [] : null;
 
-        for (const currentMode of modesToRender) {
-            // STAGE B: Interpretation - Convert signals to target coordinates based on mode
-            const targets = interpretSignals(processedLeft, processedRight, currentMode, scale, visibleScale, centerX, centerY, canvasWidth, timeDiv, triggerLevel, triggerChannel, amplDivA, positionA, amplDivB, positionB, xPosition, visibleWidth, sampleRate, decay);
+        // Draw one trace: beam physics and rendering
+        const drawTrace = (ideal, color) => {
+            // Deflection chain: amplifier compression, the rotation coil, then
+            // the geometry of the tube face
+            const targets = distortGeometry(
+                rotateTargets(compressDeflection(ideal, compression), traceRotation),
+                pincushion,
+                keystone
+            );
 
             // Teleport beam to first target to prevent spurious lines from previous frame
             // This eliminates the line that would be drawn from the last position of the
@@ -816,15 +1288,25 @@ self.onmessage = async function(e) {
             // RENDERING - Draw the simulated beam path
             // ========================================================================
 
+            // Per-point beam intensity: blanked samples (chop switching) are
+            // drawn with zero intensity, samples dimmed by the Z input and dimmed
+            // traces (FFT peak hold) with their own. The physics still runs
+            // through them (the beam keeps moving unseen).
+            const intensities = targets.some(t => t.blank || t.intensity !== undefined)
+                ? Float32Array.from(targets, t => t.blank ? 0 : (t.intensity ?? 1))
+                : null;
+
             rendererManager.renderTrace({
                 points,
                 speeds,
+                intensities,
+                astigRatio,
+                astigAngle,
                 velocityDimming,
                 basePower,
                 deltaTime,
                 sampleRate,
                 debugMode,
-                bloomEnabled,
                 timeSegment,
                 dotOpacity,
                 dotSizeVariation,
@@ -832,8 +1314,20 @@ self.onmessage = async function(e) {
                 canvasWidth,
                 canvasHeight,
                 calculatePhosphorExcitation,
-                interpolatePoints
+                interpolatePoints,
+                color
             });
+        };
+
+        // Stored reference traces, drawn under the live trace in their own colour
+        for (const reference of references) {
+            for (const targets of reference.traces) {
+                drawTrace(targets, reference.color);
+            }
+        }
+
+        for (const targets of traces) {
+            drawTrace(targets);
 
             // Collect points for laser output from raw targets (pre-physics)
             // Using targets directly avoids beam inertia, noise, and jitter artifacts
@@ -852,6 +1346,9 @@ self.onmessage = async function(e) {
             }
         }
 
+        // The faded screen plus everything drawn this frame, composited once
+        rendererManager.present();
+
         // Draw debug info (renderer type and FPS) in debug mode
         if (debugMode) {
             rendererManager.drawDebugInfo(fps);
@@ -861,6 +1358,8 @@ self.onmessage = async function(e) {
         if (laserOutput && laserPoints && laserPoints.length > 0) {
             self.postMessage({ 
                 type: 'ready',
+                triggerStatus,
+                measurements,
                 laserData: {
                     points: laserPoints,
                     speeds: laserSpeeds,
@@ -869,7 +1368,7 @@ self.onmessage = async function(e) {
                 }
             });
         } else {
-            self.postMessage({ type: 'ready' });
+            self.postMessage({ type: 'ready', triggerStatus, measurements });
         }
     }
 };
@@ -1,6 +1,14 @@
 // Canvas 2D Renderer for oscilloscope visualization
 // Implements the standard Canvas 2D API rendering
 
+import { DEFAULT_PHOSPHOR, getPhosphor, phosphorBrightness, componentRetention } from '../../utils/phosphors.js';
+import { spotMatrix, invertSpot } from '../../utils/beamSpot.js';
+
+// The layers hold 8 bits per channel, so a slow fade of a fraction of a
+// percent per frame would round away and leave the trace on screen forever.
+// Fades are accumulated and applied once they dim a layer by this much.
+const FADE_STEP = 0.9;
+
 export class Canvas2DRenderer {
     constructor() {
         this.ctx = null;
@@ -8,6 +16,13 @@ export class Canvas2DRenderer {
         this.devicePixelRatio = 1;
         this.logicalWidth = 600;
         this.logicalHeight = 600;
+        this.phosphor = getPhosphor(DEFAULT_PHOSPHOR);
+        this.layers = []; // One per phosphor component: { canvas, ctx, pendingFade }
+        this.screenEffects = { bloom: 0, halation: 0, curvature: 0, reflection: false, canvasGlow: false, screenSize: 1 };
+        // Cheap glow: the layers shrunk to a quarter and a sixteenth of the
+        // size, and stretched back over the screen by the smoothing filter
+        this.glowLevels = [];
+        this.screenGradients = null; // Vignette and reflection, made by setScreenEffects()
     }
 
     /**
@@ -27,6 +42,78 @@ export class Canvas2DRenderer {
 
         // Scale context for high-DPI displays
         this.ctx.scale(devicePixelRatio, devicePixelRatio);
+
+        // Each phosphor component glows in its own layer, so it can fade at
+        // its own rate. The screen is the background plus the sum of the layers.
+        this.layers = [0, 1].map(() => {
+            const layerCanvas = new OffscreenCanvas(canvas.width, canvas.height);
+            const layerCtx = layerCanvas.getContext('2d');
+            layerCtx.scale(devicePixelRatio, devicePixelRatio);
+            return { canvas: layerCanvas, ctx: layerCtx, pendingFade: 1 };
+        });
+
+        this.glowLevels = [4, 16].map(divisor => {
+            const glowCanvas = new OffscreenCanvas(
+                Math.max(1, Math.round(canvas.width / divisor)),
+                Math.max(1, Math.round(canvas.height / divisor))
+            );
+            const glowCtx = glowCanvas.getContext('2d');
+            glowCtx.imageSmoothingQuality = 'high';
+            return { canvas: glowCanvas, ctx: glowCtx };
+        });
+        this.screenGradients = this.createScreenGradients();
+    }
+
+    /**
+     * Set the phosphor type
+     * @param {Object} phosphor - Phosphor from PHOSPHORS
+     */
+    setPhosphor(phosphor) {
+        this.phosphor = phosphor;
+    }
+
+    /**
+     * Set the screen effects. Bloom and halation are only drawn when
+     * canvasGlow is set, as they add a few passes to every frame.
+     * @param {Object} effects - { bloom, halation, curvature, reflection, canvasGlow, screenSize }
+     */
+    setScreenEffects(effects) {
+        this.screenEffects = effects;
+        this.screenGradients = this.createScreenGradients();
+    }
+
+    /**
+     * Gradients for the faceplate: a vignette darkening the corners of the
+     * curved screen, and the highlight of a window reflected in the glass
+     * @returns {{vignette: CanvasGradient|null, reflection: CanvasGradient|null}|null}
+     */
+    createScreenGradients() {
+        if (!this.ctx) return null;
+
+        const { curvature, reflection, screenSize } = this.screenEffects;
+        const { width, height } = this.canvas;
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const halfScreen = Math.min(width, height) * screenSize / 2;
+
+        let vignette = null;
+        if (curvature > 0) {
+            vignette = this.ctx.createRadialGradient(centerX, centerY, halfScreen * 0.3, centerX, centerY, halfScreen * Math.SQRT2);
+            vignette.addColorStop(0, 'rgba(0, 0, 0, 0)');
+            vignette.addColorStop(1, `rgba(0, 0, 0, ${curvature * 0.7})`);
+        }
+
+        let highlight = null;
+        if (reflection) {
+            // Upper left, drawn into a smaller spot by a more curved faceplate
+            const x = centerX - halfScreen * 0.5;
+            const y = centerY - halfScreen * 0.55;
+            highlight = this.ctx.createRadialGradient(x, y, 0, x, y, halfScreen * 0.6 / (1 + curvature));
+            highlight.addColorStop(0, 'rgba(255, 255, 255, 0.08)');
+            highlight.addColorStop(1, 'rgba(255, 255, 255, 0.01)');
+        }
+
+        return { vignette, reflection: highlight };
     }
 
     /**
@@ -54,9 +141,17 @@ export class Canvas2DRenderer {
     clearWithPersistence(persistence, canvasWidth, canvasHeight) {
         if (!this.ctx) return;
 
-        // Background: dark gray with greenish tint (#1a1f1a = rgb(26, 31, 26))
-        this.ctx.fillStyle = `rgba(26, 31, 26, ${1 - persistence})`;
-        this.ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        this.phosphor.components.forEach((component, i) => {
+            const layer = this.layers[i];
+            layer.pendingFade *= componentRetention(persistence, component.scale);
+            if (layer.pendingFade > FADE_STEP) return;
+
+            layer.ctx.globalCompositeOperation = 'destination-out';
+            layer.ctx.fillStyle = `rgba(0, 0, 0, ${1 - layer.pendingFade})`;
+            layer.ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+            layer.ctx.globalCompositeOperation = 'source-over';
+            layer.pendingFade = 1;
+        });
     }
 
     /**
@@ -65,8 +160,73 @@ export class Canvas2DRenderer {
     clear() {
         if (!this.ctx) return;
 
-        this.ctx.fillStyle = 'rgb(26, 31, 26)';
-        this.ctx.fillRect(0, 0, this.logicalWidth, this.logicalHeight);
+        for (const layer of this.layers) {
+            layer.ctx.clearRect(0, 0, this.logicalWidth, this.logicalHeight);
+            layer.pendingFade = 1;
+        }
+
+        this.composite();
+    }
+
+    /**
+     * Draw the background and add the phosphor layers on top
+     */
+    composite() {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        // Background: dark gray with greenish tint (#1a1f1a = rgb(26, 31, 26))
+        ctx.fillStyle = 'rgb(26, 31, 26)';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.globalCompositeOperation = 'lighter';
+        for (const layer of this.layers) {
+            ctx.drawImage(layer.canvas, 0, 0);
+        }
+
+        const { bloom, halation, canvasGlow } = this.screenEffects;
+        if (canvasGlow && (bloom > 0 || halation > 0)) {
+            this.drawGlow(ctx, [bloom * 0.6, halation * 0.8]);
+        }
+
+        const { vignette, reflection } = this.screenGradients ?? {};
+        if (vignette) {
+            ctx.globalCompositeOperation = 'source-over';
+            ctx.fillStyle = vignette;
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        if (reflection) {
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.fillStyle = reflection;
+            ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Add the glow of the layers: each glow level is the layers shrunk (the
+     * bloom) or the level before shrunk further (the halation), stretched
+     * back over the screen
+     * @param {CanvasRenderingContext2D} ctx - Screen context, in physical pixels
+     * @param {number[]} amounts - Strength of each glow level
+     */
+    drawGlow(ctx, amounts) {
+        this.glowLevels.forEach((level, i) => {
+            const { canvas, ctx: glowCtx } = level;
+            glowCtx.clearRect(0, 0, canvas.width, canvas.height);
+            glowCtx.globalCompositeOperation = 'lighter';
+            const sources = i === 0 ? this.layers.map(layer => layer.canvas) : [this.glowLevels[i - 1].canvas];
+            for (const source of sources) {
+                glowCtx.drawImage(source, 0, 0, canvas.width, canvas.height);
+            }
+
+            if (amounts[i] > 0) {
+                ctx.globalAlpha = Math.min(1, amounts[i]);
+                ctx.drawImage(canvas, 0, 0, this.canvas.width, this.canvas.height);
+                ctx.globalAlpha = 1;
+            }
+        });
     }
 
     /**
@@ -77,6 +237,10 @@ export class Canvas2DRenderer {
         const {
             points,
             speeds,
+            intensities = null,
+            color = null, // Overrides the phosphor's colours (RGB), for reference traces
+            astigRatio = 1, // Beam spot shape (see utils/beamSpot.js)
+            astigAngle = 0,
             velocityDimming,
             basePower,
             deltaTime,
@@ -94,7 +258,11 @@ export class Canvas2DRenderer {
 
         if (!this.ctx || points.length < 2) return;
 
-        const ctx = this.ctx;
+        const { saturation } = this.phosphor;
+        const components = this.phosphor.components.map(component => ({
+            ...component,
+            color: color ?? component.color
+        }));
 
         // Calculate scale factor for resolution-independent rendering
         const canvasScale = Math.min(canvasWidth, canvasHeight);
@@ -139,19 +307,16 @@ export class Canvas2DRenderer {
         }
 
         // Apply interpolation
-        const interpolated = interpolatePoints(points, speeds, TIME_SEGMENT, timePerPoint);
+        const interpolated = interpolatePoints(points, speeds, TIME_SEGMENT, timePerPoint, intensities);
         let renderPoints = interpolated.points;
         let renderSpeeds = interpolated.speeds;
+        const renderIntensities = interpolated.intensities;
         const isInterpolated = interpolated.isInterpolated;
 
         const interpolatedTimePerPoint = TIME_SEGMENT;
 
-        // Configure canvas for drawing
-        ctx.lineWidth = LINE_WIDTH_RATIO * canvasScale;
-        ctx.lineCap = 'round';
-        ctx.lineJoin = 'round';
-
-        // Second pass: render segments
+        // Second pass: collect segments and their brightness
+        const segments = [];
         let segmentStartIdx = 0;
         let accumulatedTime = 0;
 
@@ -165,35 +330,89 @@ export class Canvas2DRenderer {
                 }
                 const avgSpeed = totalDistance / Math.max(1, i - segmentStartIdx);
 
-                const opacity = calculatePhosphorExcitation(avgSpeed, velocityDimming, basePower, deltaTime);
-
-                ctx.beginPath();
-                ctx.moveTo(renderPoints[segmentStartIdx].x, renderPoints[segmentStartIdx].y);
-
-                for (let j = segmentStartIdx + 1; j <= i; j++) {
-                    ctx.lineTo(renderPoints[j].x, renderPoints[j].y);
+                // Beam intensity (Z) of the segment: its dimmest point
+                let intensity = 1;
+                if (renderIntensities) {
+                    for (let j = segmentStartIdx; j <= i; j++) {
+                        intensity = Math.min(intensity, renderIntensities[j]);
+                    }
+                }
+                if (intensity <= 0) {
+                    segmentStartIdx = i;
+                    accumulatedTime = 0;
+                    continue;
                 }
 
-                ctx.strokeStyle = `rgba(76, 175, 80, ${opacity})`;
-                ctx.stroke();
+                const excitation = calculatePhosphorExcitation(avgSpeed, velocityDimming, basePower, deltaTime) * intensity;
+                segments.push({
+                    start: segmentStartIdx,
+                    end: i,
+                    brightness: phosphorBrightness(excitation, saturation)
+                });
 
                 segmentStartIdx = i;
                 accumulatedTime = 0;
             }
         }
 
-        // Third pass: highlight direction changes with green dots
-        const greenDotSize = GREEN_DOT_RATIO * canvasScale;
+        // Third pass: highlight direction changes with dots
+        const dots = [];
         for (const [idx, brightness] of directionChanges) {
-            const point = originalPoints[idx];
-            const opacity = basePower * brightness;
+            const excitation = basePower * brightness * (intensities ? intensities[idx] : 1);
+            if (excitation <= 0) continue;
+            dots.push({ point: originalPoints[idx], brightness: phosphorBrightness(excitation, saturation) });
+        }
 
-            ctx.fillStyle = `rgba(76, 175, 80, ${opacity})`;
-            ctx.beginPath();
-            ctx.arc(point.x, point.y, greenDotSize, 0, Math.PI * 2);
-            ctx.fill();
+        // An astigmatic spot is drawn in the space where it is round: the
+        // points are mapped into it and the context transform stretches the
+        // round pen (and the points back) into place
+        const spot = spotMatrix(astigRatio, astigAngle);
+        let penPoints = renderPoints;
+        let dotPoints = dots.map(dot => dot.point);
+        if (spot) {
+            const { a, b, d } = invertSpot(spot);
+            const toRoundSpace = p => ({ x: a * p.x + b * p.y, y: b * p.x + d * p.y });
+            penPoints = renderPoints.map(toRoundSpace);
+            dotPoints = dotPoints.map(toRoundSpace);
         }
 
+        // Draw the segments and dots into each component's layer, in the
+        // component's colour scaled by its share of the light
+        const greenDotSize = GREEN_DOT_RATIO * canvasScale;
+        components.forEach((component, k) => {
+            const layerCtx = this.layers[k].ctx;
+            const [red, green, blue] = component.color.map(c => Math.round(c * component.weight));
+
+            layerCtx.save();
+            if (spot) {
+                layerCtx.transform(spot.a, spot.b, spot.b, spot.d, 0, 0);
+            }
+            layerCtx.lineWidth = LINE_WIDTH_RATIO * canvasScale;
+            layerCtx.lineCap = 'round';
+            layerCtx.lineJoin = 'round';
+
+            for (const { start, end, brightness } of segments) {
+                layerCtx.beginPath();
+                layerCtx.moveTo(penPoints[start].x, penPoints[start].y);
+                for (let j = start + 1; j <= end; j++) {
+                    layerCtx.lineTo(penPoints[j].x, penPoints[j].y);
+                }
+                layerCtx.strokeStyle = `rgba(${red}, ${green}, ${blue}, ${brightness})`;
+                layerCtx.stroke();
+            }
+
+            dots.forEach(({ brightness }, i) => {
+                layerCtx.fillStyle = `rgba(${red}, ${green}, ${blue}, ${brightness})`;
+                layerCtx.beginPath();
+                layerCtx.arc(dotPoints[i].x, dotPoints[i].y, greenDotSize, 0, Math.PI * 2);
+                layerCtx.fill();
+            });
+            layerCtx.restore();
+        });
+
+        // Debug dots go into the fast layer
+        const ctx = this.layers[0].ctx;
+
         // Debug visualization: red dots for interpolated points
         if (debugMode && dotOpacity > 0) {
             const debugDotSize = DEBUG_DOT_RATIO * canvasScale;
@@ -225,6 +444,14 @@ export class Canvas2DRenderer {
         }
     }
 
+    /**
+     * Show the frame: composite the layers once, after all traces are drawn
+     */
+    present() {
+        if (!this.ctx) return;
+        this.composite();
+    }
+
     /**
      * Draw debug info (FPS) for debug mode using stick figure numbers
      * @param {number} fps - Current FPS value
@@ -319,5 +546,8 @@ export class Canvas2DRenderer {
     destroy() {
         this.ctx = null;
         this.canvas = null;
+        this.layers = [];
+        this.glowLevels = [];
+        this.screenGradients = null;
     }
 }
@@ -17,6 +17,8 @@ export class RendererManager {
         this.logicalHeight = 600;
         this.webgpuSupported = null; // Cache WebGPU support check
         this.contextBound = false; // Once true, can't switch renderer types
+        this.phosphor = null; // Phosphor type, kept across renderer switches
+        this.screenEffects = null; // Bloom, halation, curvature and reflection, kept across renderer switches
     }
 
     /**
@@ -113,6 +115,12 @@ export class RendererManager {
         }
 
         if (success) {
+            if (this.phosphor) {
+                newRenderer.setPhosphor(this.phosphor);
+            }
+            if (this.screenEffects) {
+                newRenderer.setScreenEffects(this.screenEffects);
+            }
             this.currentRenderer = newRenderer;
             this.currentType = rendererType;
             this.contextBound = true; // Context is now locked
@@ -183,6 +191,24 @@ export class RendererManager {
         return this.currentRenderer?.isReady() ?? false;
     }
 
+    /**
+     * Set the phosphor type of the screen
+     * @param {Object} phosphor - Phosphor from PHOSPHORS
+     */
+    setPhosphor(phosphor) {
+        this.phosphor = phosphor;
+        this.currentRenderer?.setPhosphor(phosphor);
+    }
+
+    /**
+     * Set the screen effects: bloom, halation, faceplate curvature and reflection
+     * @param {Object} effects - { bloom, halation, curvature, reflection, canvasGlow, screenSize }
+     */
+    setScreenEffects(effects) {
+        this.screenEffects = effects;
+        this.currentRenderer?.setScreenEffects(effects);
+    }
+
     /**
      * Clear the canvas with persistence effect
      */
@@ -212,6 +238,13 @@ export class RendererManager {
         this.currentRenderer?.renderTrace(params);
     }
 
+    /**
+     * Show the frame, once all its traces are drawn
+     */
+    present() {
+        this.currentRenderer?.present();
+    }
+
     /**
      * Draw debug info (renderer type and FPS)
      */
@@ -1,6 +1,13 @@
 // WebGPU Renderer for oscilloscope visualization
 // Experimental renderer for future shader effects
 
+import { DEFAULT_PHOSPHOR, getPhosphor, phosphorBrightness, componentRetention } from '../../utils/phosphors.js';
+import { spotMatrix, spotEdge } from '../../utils/beamSpot.js';
+
+// Phosphor layers are half-float: with 8 bits per channel a slow fade of a
+// fraction of a percent per frame rounds away and the trace never clears
+const LAYER_FORMAT = 'rgba16float';
+
 export class WebGPURenderer {
     constructor() {
         this.device = null;
@@ -11,13 +18,20 @@ export class WebGPURenderer {
         this.logicalHeight = 600;
         this.pipeline = null;
         this.linePipeline = null;
+        this.overlayLinePipeline = null;
+        this.phosphorColorBuffer = null;
+        this.overlayColorBindGroup = null;
         this.format = null;
         this.initialized = false;
-
-        // Persistent texture for phosphor persistence effect
-        this.persistenceTexture = null;
-        this.persistenceTextureView = null;
-        // Render target texture (can be copied from, unlike swap chain)
+        this.phosphor = getPhosphor(DEFAULT_PHOSPHOR);
+
+        // One layer per phosphor component, each fading at its own rate:
+        // { texture, view, previousTexture, previousView, fadeBuffer, colorBuffer, bind groups }
+        this.layers = [];
+        this.compositePipeline = null;
+        this.compositeBindGroupLayout = null;
+        this.compositeBindGroup = null;
+        // Render target texture: background plus the layers (can be copied from, unlike swap chain)
         this.renderTargetTexture = null;
         this.renderTargetTextureView = null;
         this.copyPipeline = null;
@@ -25,18 +39,23 @@ export class WebGPURenderer {
         this.blitPipeline = null;
         this.sampler = null;
         this.bindGroupLayout = null;
-        this.persistenceBindGroup = null;
 
-        // Bloom effect textures and pipelines
-        this.bloomTexture = null;
-        this.bloomTextureView = null;
-        this.bloomBlurTexture = null;
-        this.bloomBlurTextureView = null;
+        // Bloom and halation: the glow at full resolution followed by ever
+        // wider halos at lower resolutions, each level
+        // { texture, view, blurTexture, blurView, texelSizeBuffer, bind groups }
+        this.bloomLevels = [];
         this.bloomExtractPipeline = null;
+        this.bloomDownsamplePipeline = null;
         this.bloomBlurHPipeline = null;
         this.bloomBlurVPipeline = null;
-        this.bloomCompositePipeline = null;
         this.bloomBindGroupLayout = null;
+
+        // Final pass onto the screen: glow, faceplate curvature and reflection
+        this.screenPipeline = null;
+        this.screenBindGroupLayout = null;
+        this.screenBindGroup = null;
+        this.screenEffectsBuffer = null;
+        this.screenEffects = { bloom: 0, halation: 0, curvature: 0, reflection: false, screenSize: 1 };
     }
 
     /**
@@ -85,19 +104,9 @@ export class WebGPURenderer {
                 alphaMode: 'premultiplied',
             });
 
-            // Create persistence texture for phosphor trail effect
             const physicalWidth = this.logicalWidth * this.devicePixelRatio;
             const physicalHeight = this.logicalHeight * this.devicePixelRatio;
 
-            this.persistenceTexture = this.device.createTexture({
-                size: [physicalWidth, physicalHeight],
-                format: this.format,
-                usage: GPUTextureUsage.TEXTURE_BINDING |
-                       GPUTextureUsage.COPY_DST |
-                       GPUTextureUsage.RENDER_ATTACHMENT,
-            });
-            this.persistenceTextureView = this.persistenceTexture.createView();
-
             // Create render target texture (can be copied from, unlike swap chain)
             this.renderTargetTexture = this.device.createTexture({
                 size: [physicalWidth, physicalHeight],
@@ -108,28 +117,6 @@ export class WebGPURenderer {
             });
             this.renderTargetTextureView = this.renderTargetTexture.createView();
 
-            // Create bloom textures (full resolution for better quality on thin lines)
-            const bloomWidth = physicalWidth;
-            const bloomHeight = physicalHeight;
-            this.bloomWidth = bloomWidth;
-            this.bloomHeight = bloomHeight;
-
-            this.bloomTexture = this.device.createTexture({
-                size: [bloomWidth, bloomHeight],
-                format: this.format,
-                usage: GPUTextureUsage.TEXTURE_BINDING |
-                       GPUTextureUsage.RENDER_ATTACHMENT,
-            });
-            this.bloomTextureView = this.bloomTexture.createView();
-
-            this.bloomBlurTexture = this.device.createTexture({
-                size: [bloomWidth, bloomHeight],
-                format: this.format,
-                usage: GPUTextureUsage.TEXTURE_BINDING |
-                       GPUTextureUsage.RENDER_ATTACHMENT,
-            });
-            this.bloomBlurTextureView = this.bloomBlurTexture.createView();
-
             // Create sampler for texture sampling
             this.sampler = this.device.createSampler({
                 magFilter: 'linear',
@@ -139,6 +126,8 @@ export class WebGPURenderer {
             // Create shaders and pipelines
             console.log('WebGPU: Creating pipelines...');
             await this.createPipelines();
+            this.createLayers(physicalWidth, physicalHeight);
+            this.createBloomLevels(physicalWidth, physicalHeight);
 
             this.initialized = true;
             console.log('WebGPU: Initialization complete');
@@ -177,8 +166,10 @@ export class WebGPURenderer {
             }
         `;
 
-        // Fragment shader for green phosphor glow with anti-aliased edges
+        // Fragment shader for phosphor glow with anti-aliased edges
         const lineFragmentShader = `
+            @group(0) @binding(0) var<uniform> phosphorColor: vec4<f32>;
+
             struct FragmentInput {
                 @location(0) opacity: f32,
                 @location(1) edgeDist: f32,
@@ -186,20 +177,20 @@ export class WebGPURenderer {
 
             @fragment
             fn main(input: FragmentInput) -> @location(0) vec4<f32> {
-                // Green phosphor color (76, 175, 80) / 255
-                let green = vec3<f32>(0.298, 0.686, 0.314);
                 // Anti-aliasing: smooth edge falloff based on distance from center
                 let dist = abs(input.edgeDist);
                 let edgeAlpha = 1.0 - smoothstep(0.5, 1.0, dist);
                 let finalOpacity = input.opacity * edgeAlpha;
-                return vec4<f32>(green * finalOpacity, finalOpacity);
+                return vec4<f32>(phosphorColor.rgb * finalOpacity, finalOpacity);
             }
         `;
 
         const lineVertexModule = this.device.createShaderModule({ code: lineVertexShader });
         const lineFragmentModule = this.device.createShaderModule({ code: lineFragmentShader });
 
-        this.linePipeline = this.device.createRenderPipeline({
+        // Lines are drawn into the phosphor layers; the FPS overlay draws them
+        // straight onto the screen
+        const createLinePipeline = (format) => this.device.createRenderPipeline({
             layout: 'auto',
             vertex: {
                 module: lineVertexModule,
@@ -217,7 +208,7 @@ export class WebGPURenderer {
                 module: lineFragmentModule,
                 entryPoint: 'main',
                 targets: [{
-                    format: this.format,
+                    format,
                     blend: {
                         color: {
                             srcFactor: 'one',  // Premultiplied alpha - color already multiplied
@@ -237,6 +228,8 @@ export class WebGPURenderer {
                 stripIndexFormat: undefined,
             },
         });
+        this.linePipeline = createLinePipeline(LAYER_FORMAT);
+        this.overlayLinePipeline = createLinePipeline(this.format);
 
         // Create green dot pipeline for circular dots at direction changes
         const greenDotVertexShader = `
@@ -265,6 +258,8 @@ export class WebGPURenderer {
         `;
 
         const greenDotFragmentShader = `
+            @group(0) @binding(0) var<uniform> phosphorColor: vec4<f32>;
+
             struct FragmentInput {
                 @location(0) opacity: f32,
                 @location(1) localCoord: vec2<f32>,
@@ -279,12 +274,10 @@ export class WebGPURenderer {
                 }
                 // Soft edge falloff for anti-aliasing
                 let edgeAlpha = 1.0 - smoothstep(0.6, 1.0, dist);
-                // Clamp opacity to prevent white-out, keep it green
+                // Clamp opacity to prevent white-out, keep the phosphor colour
                 let clampedOpacity = min(input.opacity, 1.0);
                 let finalOpacity = clampedOpacity * edgeAlpha;
-                // Green phosphor color
-                let green = vec3<f32>(0.298, 0.686, 0.314);
-                return vec4<f32>(green * finalOpacity, finalOpacity);
+                return vec4<f32>(phosphorColor.rgb * finalOpacity, finalOpacity);
             }
         `;
 
@@ -309,7 +302,7 @@ export class WebGPURenderer {
                 module: greenDotFragmentModule,
                 entryPoint: 'main',
                 targets: [{
-                    format: this.format,
+                    format: LAYER_FORMAT,
                     blend: {
                         color: {
                             srcFactor: 'one',
@@ -499,7 +492,7 @@ export class WebGPURenderer {
                 module: coloredLineFragmentModule,
                 entryPoint: 'main',
                 targets: [{
-                    format: this.format,
+                    format: LAYER_FORMAT,
                     blend: {
                         color: {
                             srcFactor: 'one',  // Premultiplied alpha
@@ -640,11 +633,62 @@ export class WebGPURenderer {
             },
         });
 
-        // Create uniform buffer for fade amount
-        this.fadeUniformBuffer = this.device.createBuffer({
-            size: 4,
+        // Composite pipeline: background plus the glow of every phosphor layer
+        const compositeFragmentShader = `
+            @group(0) @binding(0) var texSampler: sampler;
+            @group(0) @binding(1) var fastLayer: texture_2d<f32>;
+            @group(0) @binding(2) var slowLayer: texture_2d<f32>;
+
+            struct FragmentInput {
+                @location(0) texCoord: vec2<f32>,
+            }
+
+            @fragment
+            fn main(input: FragmentInput) -> @location(0) vec4<f32> {
+                let background = vec3<f32>(0.102, 0.122, 0.102); // #1a1f1a
+                let fast = textureSample(fastLayer, texSampler, input.texCoord).rgb;
+                let slow = textureSample(slowLayer, texSampler, input.texCoord).rgb;
+                return vec4<f32>(min(background + fast + slow, vec3<f32>(1.0)), 1.0);
+            }
+        `;
+
+        const compositeFragmentModule = this.device.createShaderModule({ code: compositeFragmentShader });
+
+        this.compositeBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
+                { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+                { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+            ],
+        });
+
+        this.compositePipeline = this.device.createRenderPipeline({
+            layout: this.device.createPipelineLayout({
+                bindGroupLayouts: [this.compositeBindGroupLayout],
+            }),
+            vertex: {
+                module: fadeVertexModule,
+                entryPoint: 'main',
+            },
+            fragment: {
+                module: compositeFragmentModule,
+                entryPoint: 'main',
+                targets: [{ format: this.format }],
+            },
+            primitive: {
+                topology: 'triangle-strip',
+            },
+        });
+
+        // Colour of the FPS overlay (the traces use a colour per layer)
+        this.phosphorColorBuffer = this.device.createBuffer({
+            size: 16,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
+        this.overlayColorBindGroup = this.device.createBindGroup({
+            layout: this.overlayLinePipeline.getBindGroupLayout(0),
+            entries: [{ binding: 0, resource: { buffer: this.phosphorColorBuffer } }],
+        });
 
         // ============================================
         // BLOOM EFFECT PIPELINES
@@ -725,33 +769,72 @@ export class WebGPURenderer {
             }
         `;
 
-        // Bloom composite shader - combines original trace with bloom glow
-        const bloomCompositeShader = `
+        // Screen shader - the composited screen plus its bloom and halation
+        // glow, seen through the curved faceplate glass
+        const screenShader = `
+            struct ScreenEffects {
+                bloom: f32,
+                halation: f32,
+                curvature: f32,
+                reflection: f32,
+                screenSize: f32, // Visible screen as a fraction of the canvas
+            }
+
             @group(0) @binding(0) var texSampler: sampler;
-            @group(0) @binding(1) var originalTex: texture_2d<f32>;
+            @group(0) @binding(1) var screenTex: texture_2d<f32>;
             @group(0) @binding(2) var bloomTex: texture_2d<f32>;
+            @group(0) @binding(3) var halo1Tex: texture_2d<f32>;
+            @group(0) @binding(4) var halo2Tex: texture_2d<f32>;
+            @group(0) @binding(5) var halo3Tex: texture_2d<f32>;
+            @group(0) @binding(6) var<uniform> effects: ScreenEffects;
 
             struct FragmentInput {
                 @location(0) texCoord: vec2<f32>,
             }
 
+            // Glow in the colour of the light it spreads. Capped at the
+            // brightness of the green P31 glow (0.686) to prevent white-out.
+            fn glow(light: vec3<f32>) -> vec3<f32> {
+                let peak = max(light.r, max(light.g, light.b));
+                if (peak <= 0.0) {
+                    return vec3<f32>(0.0);
+                }
+                return light / peak * min(peak, 1.0) * 0.686;
+            }
+
             @fragment
             fn main(input: FragmentInput) -> @location(0) vec4<f32> {
-                let original = textureSample(originalTex, texSampler, input.texCoord);
-                let bloom = textureSample(bloomTex, texSampler, input.texCoord);
-                // Preserve green phosphor color ratio - prevent white-out
-                // Green phosphor base color (0.298, 0.686, 0.314)
-                let bloomIntensity = max(bloom.r, max(bloom.g, bloom.b));
-                let greenBloom = vec3<f32>(0.298, 0.686, 0.314) * bloomIntensity;
-                // Additive blend: original trace + green-tinted bloom glow
-                return vec4<f32>(original.rgb + greenBloom, max(original.a, bloom.a));
+                let uv = input.texCoord;
+                let screen = textureSample(screenTex, texSampler, uv).rgb;
+                let bloom = textureSample(bloomTex, texSampler, uv).rgb;
+                // Halation: light scattered in the faceplate glass, a sum of
+                // ever wider halos
+                let halo = textureSample(halo1Tex, texSampler, uv).rgb * 0.5
+                         + textureSample(halo2Tex, texSampler, uv).rgb * 0.3
+                         + textureSample(halo3Tex, texSampler, uv).rgb * 0.2;
+
+                var color = screen + glow(bloom) * effects.bloom + glow(halo) * effects.halation;
+
+                // Position on the visible screen, -1 to 1 from edge to edge
+                let p = (uv - vec2<f32>(0.5)) / (0.5 * effects.screenSize);
+
+                // Curvature: towards the edges the glass is thicker and seen at
+                // a steeper angle, darkening the corners
+                color *= 1.0 - effects.curvature * 0.7 * smoothstep(0.1, 2.0, dot(p, p));
+
+                // Reflection: a soft highlight of a window in the upper left,
+                // drawn into a smaller spot by a more curved faceplate
+                let q = (p - vec2<f32>(-0.5, -0.55)) * vec2<f32>(1.0, 1.6) * (1.0 + effects.curvature);
+                color += vec3<f32>(exp(-dot(q, q) * 4.0) * 0.07 + 0.01) * effects.reflection;
+
+                return vec4<f32>(min(color, vec3<f32>(1.0)), 1.0);
             }
         `;
 
         const bloomExtractModule = this.device.createShaderModule({ code: bloomExtractShader });
         const bloomBlurHModule = this.device.createShaderModule({ code: bloomBlurHShader });
         const bloomBlurVModule = this.device.createShaderModule({ code: bloomBlurVShader });
-        const bloomCompositeModule = this.device.createShaderModule({ code: bloomCompositeShader });
+        const screenModule = this.device.createShaderModule({ code: screenShader });
 
         // Bloom extract bind group layout (sampler + texture + intensity uniform)
         this.bloomBindGroupLayout = this.device.createBindGroupLayout({
@@ -771,47 +854,55 @@ export class WebGPURenderer {
             ],
         });
 
-        // Bloom composite bind group layout (sampler + 2 textures)
-        this.bloomCompositeBindGroupLayout = this.device.createBindGroupLayout({
+        // Screen bind group layout (sampler + screen + 4 glow levels + effects uniform)
+        this.screenBindGroupLayout = this.device.createBindGroupLayout({
             entries: [
                 { binding: 0, visibility: GPUShaderStage.FRAGMENT, sampler: {} },
-                { binding: 1, visibility: GPUShaderStage.FRAGMENT, texture: {} },
-                { binding: 2, visibility: GPUShaderStage.FRAGMENT, texture: {} },
+                ...[1, 2, 3, 4, 5].map(binding => ({ binding, visibility: GPUShaderStage.FRAGMENT, texture: {} })),
+                { binding: 6, visibility: GPUShaderStage.FRAGMENT, buffer: { type: 'uniform' } },
             ],
         });
 
-        // Create bloom pipelines
+        // Create bloom pipelines. The glow levels are half-float, so bright
+        // traces don't clip to white before they are blurred.
         this.bloomExtractPipeline = this.device.createRenderPipeline({
             layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bloomBindGroupLayout] }),
             vertex: { module: fadeVertexModule, entryPoint: 'main' },
-            fragment: { module: bloomExtractModule, entryPoint: 'main', targets: [{ format: this.format }] },
+            fragment: { module: bloomExtractModule, entryPoint: 'main', targets: [{ format: LAYER_FORMAT }] },
+            primitive: { topology: 'triangle-strip' },
+        });
+
+        this.bloomDownsamplePipeline = this.device.createRenderPipeline({
+            layout: blitPipelineLayout,
+            vertex: { module: fadeVertexModule, entryPoint: 'main' },
+            fragment: { module: blitFragmentModule, entryPoint: 'main', targets: [{ format: LAYER_FORMAT }] },
             primitive: { topology: 'triangle-strip' },
         });
 
         this.bloomBlurHPipeline = this.device.createRenderPipeline({
             layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bloomBlurBindGroupLayout] }),
             vertex: { module: fadeVertexModule, entryPoint: 'main' },
-            fragment: { module: bloomBlurHModule, entryPoint: 'main', targets: [{ format: this.format }] },
+            fragment: { module: bloomBlurHModule, entryPoint: 'main', targets: [{ format: LAYER_FORMAT }] },
             primitive: { topology: 'triangle-strip' },
         });
 
         this.bloomBlurVPipeline = this.device.createRenderPipeline({
             layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bloomBlurBindGroupLayout] }),
             vertex: { module: fadeVertexModule, entryPoint: 'main' },
-            fragment: { module: bloomBlurVModule, entryPoint: 'main', targets: [{ format: this.format }] },
+            fragment: { module: bloomBlurVModule, entryPoint: 'main', targets: [{ format: LAYER_FORMAT }] },
             primitive: { topology: 'triangle-strip' },
         });
 
-        this.bloomCompositePipeline = this.device.createRenderPipeline({
-            layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.bloomCompositeBindGroupLayout] }),
+        this.screenPipeline = this.device.createRenderPipeline({
+            layout: this.device.createPipelineLayout({ bindGroupLayouts: [this.screenBindGroupLayout] }),
             vertex: { module: fadeVertexModule, entryPoint: 'main' },
-            fragment: { module: bloomCompositeModule, entryPoint: 'main', targets: [{ format: this.format }] },
+            fragment: { module: screenModule, entryPoint: 'main', targets: [{ format: this.format }] },
             primitive: { topology: 'triangle-strip' },
         });
 
-        // Create uniform buffer for bloom texel size
-        this.bloomTexelSizeBuffer = this.device.createBuffer({
-            size: 8, // vec2<f32>
+        // Create uniform buffer for the screen effects
+        this.screenEffectsBuffer = this.device.createBuffer({
+            size: 32, // 5 x f32, padded
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
 
@@ -822,6 +913,170 @@ export class WebGPURenderer {
         });
     }
 
+    /**
+     * Create the phosphor layers: per component a texture to draw on and one
+     * holding the previous frame, with its own fade amount and colour.
+     * @param {number} width - Physical width
+     * @param {number} height - Physical height
+     */
+    createLayers(width, height) {
+        const createLayerTexture = () => this.device.createTexture({
+            size: [width, height],
+            format: LAYER_FORMAT,
+            usage: GPUTextureUsage.TEXTURE_BINDING |
+                   GPUTextureUsage.COPY_SRC |
+                   GPUTextureUsage.COPY_DST |
+                   GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+
+        this.layers = [0, 1].map(() => {
+            const texture = createLayerTexture();
+            const previousTexture = createLayerTexture();
+            const view = texture.createView();
+            const previousView = previousTexture.createView();
+
+            const fadeBuffer = this.device.createBuffer({
+                size: 4,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            });
+            const colorBuffer = this.device.createBuffer({
+                size: 16,
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            });
+
+            return {
+                texture,
+                view,
+                previousTexture,
+                previousView,
+                fadeBuffer,
+                colorBuffer,
+                fadeBindGroup: this.device.createBindGroup({
+                    layout: this.bindGroupLayout,
+                    entries: [
+                        { binding: 0, resource: this.sampler },
+                        { binding: 1, resource: previousView },
+                        { binding: 2, resource: { buffer: fadeBuffer } },
+                    ],
+                }),
+                lineBindGroup: this.device.createBindGroup({
+                    layout: this.linePipeline.getBindGroupLayout(0),
+                    entries: [{ binding: 0, resource: { buffer: colorBuffer } }],
+                }),
+                dotBindGroup: this.device.createBindGroup({
+                    layout: this.greenDotPipeline.getBindGroupLayout(0),
+                    entries: [{ binding: 0, resource: { buffer: colorBuffer } }],
+                }),
+            };
+        });
+
+        this.compositeBindGroup = this.device.createBindGroup({
+            layout: this.compositeBindGroupLayout,
+            entries: [
+                { binding: 0, resource: this.sampler },
+                { binding: 1, resource: this.layers[0].view },
+                { binding: 2, resource: this.layers[1].view },
+            ],
+        });
+    }
+
+    /**
+     * Create the glow levels: the bloom at full resolution, then the halation
+     * at a quarter, an eighth and a sixteenth of it. Each level is blurred in
+     * place, through a second texture, and is the source of the next one.
+     * @param {number} width - Physical width
+     * @param {number} height - Physical height
+     */
+    createBloomLevels(width, height) {
+        const createLevelTexture = (levelWidth, levelHeight) => this.device.createTexture({
+            size: [levelWidth, levelHeight],
+            format: LAYER_FORMAT,
+            usage: GPUTextureUsage.TEXTURE_BINDING |
+                   GPUTextureUsage.RENDER_ATTACHMENT,
+        });
+
+        this.bloomLevels = [1, 4, 8, 16].map(divisor => {
+            const levelWidth = Math.max(1, Math.round(width / divisor));
+            const levelHeight = Math.max(1, Math.round(height / divisor));
+            const texture = createLevelTexture(levelWidth, levelHeight);
+            const blurTexture = createLevelTexture(levelWidth, levelHeight);
+            const view = texture.createView();
+            const blurView = blurTexture.createView();
+
+            const texelSizeBuffer = this.device.createBuffer({
+                size: 8, // vec2<f32>
+                usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+            });
+            this.device.queue.writeBuffer(texelSizeBuffer, 0, new Float32Array([1 / levelWidth, 1 / levelHeight]));
+
+            const blurBindGroup = (source) => this.device.createBindGroup({
+                layout: this.bloomBlurBindGroupLayout,
+                entries: [
+                    { binding: 0, resource: this.sampler },
+                    { binding: 1, resource: source },
+                    { binding: 2, resource: { buffer: texelSizeBuffer } },
+                ],
+            });
+
+            return {
+                texture,
+                view,
+                blurTexture,
+                blurView,
+                texelSizeBuffer,
+                blurHBindGroup: blurBindGroup(view),
+                blurVBindGroup: blurBindGroup(blurView),
+            };
+        });
+
+        // The bloom level is extracted from the render target, the halation
+        // levels are downsampled from the level before
+        this.bloomLevels.forEach((level, i) => {
+            level.sourceBindGroup = i === 0
+                ? this.device.createBindGroup({
+                    layout: this.bloomBindGroupLayout,
+                    entries: [
+                        { binding: 0, resource: this.sampler },
+                        { binding: 1, resource: this.renderTargetTextureView },
+                        { binding: 2, resource: { buffer: this.bloomIntensityBuffer } },
+                    ],
+                })
+                : this.device.createBindGroup({
+                    layout: this.blitBindGroupLayout,
+                    entries: [
+                        { binding: 0, resource: this.sampler },
+                        { binding: 1, resource: this.bloomLevels[i - 1].view },
+                    ],
+                });
+        });
+
+        this.screenBindGroup = this.device.createBindGroup({
+            layout: this.screenBindGroupLayout,
+            entries: [
+                { binding: 0, resource: this.sampler },
+                { binding: 1, resource: this.renderTargetTextureView },
+                ...this.bloomLevels.map((level, i) => ({ binding: i + 2, resource: level.view })),
+                { binding: 6, resource: { buffer: this.screenEffectsBuffer } },
+            ],
+        });
+    }
+
+    /**
+     * Set the phosphor type
+     * @param {Object} phosphor - Phosphor from PHOSPHORS
+     */
+    setPhosphor(phosphor) {
+        this.phosphor = phosphor;
+    }
+
+    /**
+     * Set the screen effects (the glow is always drawn, so canvasGlow is ignored)
+     * @param {Object} effects - { bloom, halation, curvature, reflection, canvasGlow, screenSize }
+     */
+    setScreenEffects(effects) {
+        this.screenEffects = effects;
+    }
+
     /**
      * Check if the renderer is initialized and ready
      * @returns {boolean}
@@ -849,6 +1104,11 @@ export class WebGPURenderer {
         this.currentPersistence = persistence;
     }
 
+    /**
+     * Show the frame. Nothing to do: each renderTrace() submits its own passes.
+     */
+    present() {}
+
     /**
      * Clear the canvas completely (power off)
      */
@@ -870,19 +1130,21 @@ export class WebGPURenderer {
 
         this.device.queue.submit([commandEncoder.finish()]);
 
-        // Also clear persistence and render target textures
+        // Also clear the phosphor layers and the render target
         const clearEncoder = this.device.createCommandEncoder();
 
-        if (this.persistenceTextureView) {
-            const clearPass = clearEncoder.beginRenderPass({
-                colorAttachments: [{
-                    view: this.persistenceTextureView,
-                    clearValue: { r: 0.102, g: 0.122, b: 0.102, a: 1.0 },
-                    loadOp: 'clear',
-                    storeOp: 'store',
-                }],
-            });
-            clearPass.end();
+        for (const layer of this.layers) {
+            for (const view of [layer.view, layer.previousView]) {
+                const clearPass = clearEncoder.beginRenderPass({
+                    colorAttachments: [{
+                        view,
+                        clearValue: { r: 0, g: 0, b: 0, a: 0 },
+                        loadOp: 'clear',
+                        storeOp: 'store',
+                    }],
+                });
+                clearPass.end();
+            }
         }
 
         if (this.renderTargetTextureView) {
@@ -908,12 +1170,15 @@ export class WebGPURenderer {
         const {
             points,
             speeds,
+            intensities = null,
+            color = null, // Overrides the phosphor's colours (RGB), for reference traces
+            astigRatio = 1, // Beam spot shape (see utils/beamSpot.js)
+            astigAngle = 0,
             velocityDimming,
             basePower,
             deltaTime,
             sampleRate,
             debugMode,
-            bloomEnabled,
             timeSegment,
             dotOpacity,
             dotSizeVariation,
@@ -948,6 +1213,11 @@ export class WebGPURenderer {
         try {
 
         const persistence = this.currentPersistence || 0;
+        // Only the first trace of a frame fades what was drawn before; further
+        // traces (ALT, reference traces) are drawn on top of it
+        this.currentPersistence = 1;
+
+        const { saturation } = this.phosphor;
 
         // Calculate scale factor for resolution-independent rendering
         const canvasScale = Math.min(canvasWidth, canvasHeight);
@@ -958,6 +1228,9 @@ export class WebGPURenderer {
         const intensityWidthScale = basePower > 1 ? 1 + (basePower - 1) * 0.3 : 1;
         const lineWidth = LINE_WIDTH_RATIO * canvasScale * intensityWidthScale;
 
+        // Astigmatism stretches the round spot into an ellipse (null = round)
+        const spot = spotMatrix(astigRatio, astigAngle);
+
         const TIME_SEGMENT = timeSegment / 1000;
         const timePerPoint = 1 / sampleRate;
 
@@ -990,9 +1263,10 @@ export class WebGPURenderer {
         }
 
         // Apply interpolation
-        const interpolated = interpolatePoints(points, speeds, TIME_SEGMENT, timePerPoint);
+        const interpolated = interpolatePoints(points, speeds, TIME_SEGMENT, timePerPoint, intensities);
         let renderPoints = interpolated.points;
         let renderSpeeds = interpolated.speeds;
+        const renderIntensities = interpolated.intensities;
         const isInterpolated = interpolated.isInterpolated;
 
         // Build vertex data for line rendering (as thick line with triangle strip)
@@ -1015,7 +1289,18 @@ export class WebGPURenderer {
                     totalDistance += renderSpeeds[j] || 0;
                 }
                 const avgSpeed = totalDistance / Math.max(1, i - segmentStartIdx);
-                const opacity = calculatePhosphorExcitation(avgSpeed, velocityDimming, basePower, deltaTime);
+                // Beam intensity (Z) of the segment: its dimmest point. Blanked
+                // segments stay in the strip at zero opacity to keep it connected.
+                let intensity = 1;
+                if (renderIntensities) {
+                    for (let j = segmentStartIdx; j <= i; j++) {
+                        intensity = Math.min(intensity, renderIntensities[j]);
+                    }
+                }
+                const opacity = phosphorBrightness(
+                    calculatePhosphorExcitation(avgSpeed, velocityDimming, basePower, deltaTime) * intensity,
+                    saturation
+                );
 
                 // Generate thick line vertices (triangle strip) with edge distance for anti-aliasing
                 for (let j = segmentStartIdx; j <= i; j++) {
@@ -1033,17 +1318,11 @@ export class WebGPURenderer {
                     let dy = next.y - prev.y;
                     const len = Math.sqrt(dx * dx + dy * dy);
 
-                    // Perpendicular vector (normalized)
-                    let px, py;
-                    if (len > 0.0001) {
-                        // Perpendicular: rotate direction 90 degrees
-                        px = -dy / len * lineWidth * 0.5;
-                        py = dx / len * lineWidth * 0.5;
-                    } else {
-                        // Fallback for stationary points
-                        px = lineWidth * 0.5;
-                        py = 0;
-                    }
+                    // Offset to the edge of the line: along the perpendicular for
+                    // a round spot, towards the far side of an elliptical one
+                    const [px, py] = len > 0.0001
+                        ? spotEdge(spot, -dy / len, dx / len, lineWidth * 0.5) // Perpendicular: rotate direction 90 degrees
+                        : spotEdge(spot, 1, 0, lineWidth * 0.5); // Fallback for stationary points
 
                     // Add two vertices (top and bottom of the thick line) with edge distance
                     // edgeDist: +1/-1 for AA enabled, 0 for AA disabled
@@ -1071,23 +1350,31 @@ export class WebGPURenderer {
 
         for (const [idx, brightness] of directionChanges) {
             const point = originalPoints[idx];
-            const opacity = basePower * brightness;
+            const excitation = basePower * brightness * (intensities ? intensities[idx] : 1);
+            if (excitation <= 0) continue;
+            const opacity = phosphorBrightness(excitation, saturation);
             const size = greenDotSize;
 
+            // Quad corner: the spot shape stretches the square along with the
+            // circular mask inside it
+            const corner = (u, v) => spot
+                ? [point.x + (spot.a * u + spot.b * v) * size, point.y + (spot.b * u + spot.d * v) * size]
+                : [point.x + u * size, point.y + v * size];
+
             // Add degenerate to start new quad (duplicate first vertex)
             if (dotVertices.length > 0) {
                 // Duplicate last vertex of previous quad
                 const lastIdx = dotVertices.length - 5;
                 dotVertices.push(dotVertices[lastIdx], dotVertices[lastIdx + 1], dotVertices[lastIdx + 2], dotVertices[lastIdx + 3], dotVertices[lastIdx + 4]);
                 // Duplicate first vertex of this quad
-                dotVertices.push(point.x - size, point.y - size, opacity, -1.0, -1.0);
+                dotVertices.push(...corner(-1, -1), opacity, -1.0, -1.0);
             }
 
             // Quad vertices for triangle strip with local coords for circular mask
-            dotVertices.push(point.x - size, point.y - size, opacity, -1.0, -1.0);  // bottom-left
-            dotVertices.push(point.x + size, point.y - size, opacity, 1.0, -1.0);   // bottom-right
-            dotVertices.push(point.x - size, point.y + size, opacity, -1.0, 1.0);   // top-left
-            dotVertices.push(point.x + size, point.y + size, opacity, 1.0, 1.0);    // top-right
+            dotVertices.push(...corner(-1, -1), opacity, -1.0, -1.0);  // bottom-left
+            dotVertices.push(...corner(1, -1), opacity, 1.0, -1.0);    // bottom-right
+            dotVertices.push(...corner(-1, 1), opacity, -1.0, 1.0);    // top-left
+            dotVertices.push(...corner(1, 1), opacity, 1.0, 1.0);      // top-right
         }
 
         // Build debug dot vertices (red for interpolated, blue for samples)
@@ -1190,17 +1477,14 @@ export class WebGPURenderer {
             this.device.queue.writeBuffer(coloredDotVertexBuffer, 0, coloredDotVertexArray);
         }
 
-        // Update fade uniform
-        this.device.queue.writeBuffer(this.fadeUniformBuffer, 0, new Float32Array([persistence]));
-
-        // Create bind group for persistence texture (for fade pass)
-        const persistenceBindGroup = this.device.createBindGroup({
-            layout: this.bindGroupLayout,
-            entries: [
-                { binding: 0, resource: this.sampler },
-                { binding: 1, resource: this.persistenceTextureView },
-                { binding: 2, resource: { buffer: this.fadeUniformBuffer } },
-            ],
+        // Update fade and colour uniforms of each layer: the component's own
+        // decay, and its colour scaled by its share of the light
+        this.phosphor.components.forEach((component, k) => {
+            const layer = this.layers[k];
+            const [red, green, blue] = color ?? component.color;
+            const weight = component.weight / 255;
+            this.device.queue.writeBuffer(layer.fadeBuffer, 0, new Float32Array([componentRetention(persistence, component.scale)]));
+            this.device.queue.writeBuffer(layer.colorBuffer, 0, new Float32Array([red * weight, green * weight, blue * weight, 1]));
         });
 
         // Create bind group for render target (for blit to swap chain)
@@ -1215,159 +1499,112 @@ export class WebGPURenderer {
         const commandEncoder = this.device.createCommandEncoder();
         const swapChainView = this.context.getCurrentTexture().createView();
 
-        // First pass: render faded previous frame to RENDER TARGET (not swap chain)
-        const fadePass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.renderTargetTextureView,
-                clearValue: { r: 0.102, g: 0.122, b: 0.102, a: 1.0 },
-                loadOp: 'clear',
-                storeOp: 'store',
-            }],
-        });
-        fadePass.setPipeline(this.fadeAndCopyPipeline);
-        fadePass.setBindGroup(0, persistenceBindGroup);
-        fadePass.draw(4);
-        fadePass.end();
-
-        // Second pass: render new trace on top of render target
-        const renderPass = commandEncoder.beginRenderPass({
-            colorAttachments: [{
-                view: this.renderTargetTextureView,
-                loadOp: 'load',
-                storeOp: 'store',
-            }],
-        });
-
-        // Draw lines (if trace enabled)
-        if (lineVertexBuffer && lineVertices.length > 0) {
-            renderPass.setPipeline(this.linePipeline);
-            renderPass.setVertexBuffer(0, lineVertexBuffer);
-            renderPass.draw(lineVertices.length / 4);
-        }
-
-        // Draw direction change dots (green circular)
-        if (dotVertexBuffer && dotVertices.length > 0) {
-            renderPass.setPipeline(this.greenDotPipeline);
-            renderPass.setVertexBuffer(0, dotVertexBuffer);
-            renderPass.draw(dotVertices.length / 5);  // 5 floats per vertex
-        }
-
-        // Draw colored debug dots (red/blue)
-        if (coloredDotVertexBuffer && coloredDotVertices.length > 0) {
-            renderPass.setPipeline(this.coloredLinePipeline);
-            renderPass.setVertexBuffer(0, coloredDotVertexBuffer);
-            renderPass.draw(coloredDotVertices.length / 6);  // 6 floats per vertex
-        }
-
-        renderPass.end();
-
-        // Third pass: copy render target to persistence texture for next frame
-        commandEncoder.copyTextureToTexture(
-            { texture: this.renderTargetTexture },
-            { texture: this.persistenceTexture },
-            [this.logicalWidth * this.devicePixelRatio, this.logicalHeight * this.devicePixelRatio]
-        );
-
-        // Apply bloom effect if enabled
-        if (bloomEnabled && this.bloomExtractPipeline) {
-            // Update texel size uniform for blur passes
-            const texelSize = new Float32Array([1.0 / this.bloomWidth, 1.0 / this.bloomHeight]);
-            this.device.queue.writeBuffer(this.bloomTexelSizeBuffer, 0, texelSize);
-
-            // Update bloom intensity based on beam power (basePower)
-            // When basePower > 1, bloom gets brighter (overdrive effect)
-            const bloomIntensity = Math.max(1.0, basePower);
-            this.device.queue.writeBuffer(this.bloomIntensityBuffer, 0, new Float32Array([bloomIntensity]));
-
-            // Bloom pass 1: Extract bright parts from render target to bloom texture
-            const bloomExtractBindGroup = this.device.createBindGroup({
-                layout: this.bloomBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: this.sampler },
-                    { binding: 1, resource: this.renderTargetTextureView },
-                    { binding: 2, resource: { buffer: this.bloomIntensityBuffer } },
-                ],
-            });
-
-            const extractPass = commandEncoder.beginRenderPass({
+        this.layers.forEach((layer, k) => {
+            // First pass: render the faded previous frame of the layer
+            const fadePass = commandEncoder.beginRenderPass({
                 colorAttachments: [{
-                    view: this.bloomTextureView,
+                    view: layer.view,
+                    clearValue: { r: 0, g: 0, b: 0, a: 0 },
                     loadOp: 'clear',
                     storeOp: 'store',
                 }],
             });
-            extractPass.setPipeline(this.bloomExtractPipeline);
-            extractPass.setBindGroup(0, bloomExtractBindGroup);
-            extractPass.draw(4);
-            extractPass.end();
+            fadePass.setPipeline(this.fadeAndCopyPipeline);
+            fadePass.setBindGroup(0, layer.fadeBindGroup);
+            fadePass.draw(4);
+            fadePass.end();
 
-            // Bloom pass 2: First horizontal blur (bloom -> bloomBlur)
-            const blurHBindGroup1 = this.device.createBindGroup({
-                layout: this.bloomBlurBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: this.sampler },
-                    { binding: 1, resource: this.bloomTextureView },
-                    { binding: 2, resource: { buffer: this.bloomTexelSizeBuffer } },
-                ],
-            });
-
-            const blurHPass1 = commandEncoder.beginRenderPass({
+            // Second pass: render new trace on top of it
+            const renderPass = commandEncoder.beginRenderPass({
                 colorAttachments: [{
-                    view: this.bloomBlurTextureView,
-                    loadOp: 'clear',
+                    view: layer.view,
+                    loadOp: 'load',
                     storeOp: 'store',
                 }],
             });
-            blurHPass1.setPipeline(this.bloomBlurHPipeline);
-            blurHPass1.setBindGroup(0, blurHBindGroup1);
-            blurHPass1.draw(4);
-            blurHPass1.end();
 
-            // Bloom pass 3: First vertical blur (bloomBlur -> bloom)
-            const blurVBindGroup1 = this.device.createBindGroup({
-                layout: this.bloomBlurBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: this.sampler },
-                    { binding: 1, resource: this.bloomBlurTextureView },
-                    { binding: 2, resource: { buffer: this.bloomTexelSizeBuffer } },
-                ],
-            });
+            // Draw lines (if trace enabled)
+            if (lineVertexBuffer && lineVertices.length > 0) {
+                renderPass.setPipeline(this.linePipeline);
+                renderPass.setBindGroup(0, layer.lineBindGroup);
+                renderPass.setVertexBuffer(0, lineVertexBuffer);
+                renderPass.draw(lineVertices.length / 4);
+            }
 
-            const blurVPass1 = commandEncoder.beginRenderPass({
-                colorAttachments: [{
-                    view: this.bloomTextureView,
-                    loadOp: 'clear',
-                    storeOp: 'store',
-                }],
-            });
-            blurVPass1.setPipeline(this.bloomBlurVPipeline);
-            blurVPass1.setBindGroup(0, blurVBindGroup1);
-            blurVPass1.draw(4);
-            blurVPass1.end();
-
-            // Bloom pass 4: Composite (render target + bloom -> swap chain)
-            const compositeBindGroup = this.device.createBindGroup({
-                layout: this.bloomCompositeBindGroupLayout,
-                entries: [
-                    { binding: 0, resource: this.sampler },
-                    { binding: 1, resource: this.renderTargetTextureView },
-                    { binding: 2, resource: this.bloomTextureView },
-                ],
-            });
+            // Draw direction change dots (circular)
+            if (dotVertexBuffer && dotVertices.length > 0) {
+                renderPass.setPipeline(this.greenDotPipeline);
+                renderPass.setBindGroup(0, layer.dotBindGroup);
+                renderPass.setVertexBuffer(0, dotVertexBuffer);
+                renderPass.draw(dotVertices.length / 5);  // 5 floats per vertex
+            }
 
-            const compositePass = commandEncoder.beginRenderPass({
-                colorAttachments: [{
-                    view: swapChainView,
-                    loadOp: 'clear',
-                    storeOp: 'store',
-                }],
+            // Draw colored debug dots (red/blue) into the fast layer
+            if (k === 0 && coloredDotVertexBuffer && coloredDotVertices.length > 0) {
+                renderPass.setPipeline(this.coloredLinePipeline);
+                renderPass.setVertexBuffer(0, coloredDotVertexBuffer);
+                renderPass.draw(coloredDotVertices.length / 6);  // 6 floats per vertex
+            }
+
+            renderPass.end();
+
+            // Third pass: keep the layer for the next frame
+            commandEncoder.copyTextureToTexture(
+                { texture: layer.texture },
+                { texture: layer.previousTexture },
+                [this.logicalWidth * this.devicePixelRatio, this.logicalHeight * this.devicePixelRatio]
+            );
+        });
+
+        // Composite the background and the layers into the render target
+        const compositeLayersPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.renderTargetTextureView,
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+        });
+        compositeLayersPass.setPipeline(this.compositePipeline);
+        compositeLayersPass.setBindGroup(0, this.compositeBindGroup);
+        compositeLayersPass.draw(4);
+        compositeLayersPass.end();
+
+        const { bloom, halation, curvature, reflection, screenSize } = this.screenEffects;
+
+        if (bloom > 0 || halation > 0 || curvature > 0 || reflection) {
+            // Bloom intensity follows the beam power: when basePower > 1,
+            // the glow gets brighter (overdrive effect)
+            const bloomIntensity = Math.max(1.0, basePower);
+            this.device.queue.writeBuffer(this.bloomIntensityBuffer, 0, new Float32Array([bloomIntensity]));
+            this.device.queue.writeBuffer(this.screenEffectsBuffer, 0, new Float32Array([
+                bloom, halation, curvature, reflection ? 1 : 0, screenSize
+            ]));
+
+            // Render the glow levels that are needed: the bloom alone, or
+            // all of them for the halation
+            const levelCount = halation > 0 ? this.bloomLevels.length : bloom > 0 ? 1 : 0;
+            const runPass = (view, pipeline, bindGroup) => {
+                const pass = commandEncoder.beginRenderPass({
+                    colorAttachments: [{ view, loadOp: 'clear', storeOp: 'store' }],
+                });
+                pass.setPipeline(pipeline);
+                pass.setBindGroup(0, bindGroup);
+                pass.draw(4);
+                pass.end();
+            };
+
+            this.bloomLevels.slice(0, levelCount).forEach((level, i) => {
+                // Extract the bright parts (bloom) or downsample the level before (halation)
+                runPass(level.view, i === 0 ? this.bloomExtractPipeline : this.bloomDownsamplePipeline, level.sourceBindGroup);
+                // Horizontal then vertical blur, back into the level
+                runPass(level.blurView, this.bloomBlurHPipeline, level.blurHBindGroup);
+                runPass(level.view, this.bloomBlurVPipeline, level.blurVBindGroup);
             });
-            compositePass.setPipeline(this.bloomCompositePipeline);
-            compositePass.setBindGroup(0, compositeBindGroup);
-            compositePass.draw(4);
-            compositePass.end();
+
+            // Screen pass: render target plus glow, through the faceplate -> swap chain
+            runPass(swapChainView, this.screenPipeline, this.screenBindGroup);
         } else {
-            // No bloom - simple blit render target to swap chain for display
+            // No effects - simple blit render target to swap chain for display
             const blitPass = commandEncoder.beginRenderPass({
                 colorAttachments: [{
                     view: swapChainView,
@@ -1476,6 +1713,8 @@ export class WebGPURenderer {
                 usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST,
             });
             this.device.queue.writeBuffer(vertexBuffer, 0, vertexArray);
+            // Green phosphor (76, 175, 80)
+            this.device.queue.writeBuffer(this.phosphorColorBuffer, 0, new Float32Array([0.298, 0.686, 0.314, 1]));
 
             const commandEncoder = this.device.createCommandEncoder();
             const textureView = this.context.getCurrentTexture().createView();
@@ -1488,7 +1727,8 @@ export class WebGPURenderer {
                 }],
             });
 
-            renderPass.setPipeline(this.linePipeline);
+            renderPass.setPipeline(this.overlayLinePipeline);
+            renderPass.setBindGroup(0, this.overlayColorBindGroup);
             renderPass.setVertexBuffer(0, vertexBuffer);
             renderPass.draw(lineVertices.length / 4);
             renderPass.end();
@@ -1512,29 +1752,30 @@ export class WebGPURenderer {
      * Destroy the renderer and release resources
      */
     destroy() {
-        if (this.persistenceTexture) {
-            this.persistenceTexture.destroy();
-            this.persistenceTexture = null;
+        for (const layer of this.layers) {
+            layer.texture.destroy();
+            layer.previousTexture.destroy();
+            layer.fadeBuffer.destroy();
+            layer.colorBuffer.destroy();
         }
+        this.layers = [];
         if (this.renderTargetTexture) {
             this.renderTargetTexture.destroy();
             this.renderTargetTexture = null;
         }
-        if (this.bloomTexture) {
-            this.bloomTexture.destroy();
-            this.bloomTexture = null;
-        }
-        if (this.bloomBlurTexture) {
-            this.bloomBlurTexture.destroy();
-            this.bloomBlurTexture = null;
+        for (const level of this.bloomLevels) {
+            level.texture.destroy();
+            level.blurTexture.destroy();
+            level.texelSizeBuffer.destroy();
         }
-        if (this.fadeUniformBuffer) {
-            this.fadeUniformBuffer.destroy();
-            this.fadeUniformBuffer = null;
+        this.bloomLevels = [];
+        if (this.phosphorColorBuffer) {
+            this.phosphorColorBuffer.destroy();
+            this.phosphorColorBuffer = null;
         }
-        if (this.bloomTexelSizeBuffer) {
-            this.bloomTexelSizeBuffer.destroy();
-            this.bloomTexelSizeBuffer = null;
+        if (this.screenEffectsBuffer) {
+            this.screenEffectsBuffer.destroy();
+            this.screenEffectsBuffer = null;
         }
         if (this.bloomIntensityBuffer) {
             this.bloomIntensityBuffer.destroy();
@@ -2,7 +2,8 @@
  * AudioWorklet processor for points mode.
  *
  * Runs on the audio thread, cycling through the latest frame of XY points
- * and outputting them as two mono outputs: output 0 = X, output 1 = Y.
+ * and outputting them as three mono outputs: output 0 = X, output 1 = Y,
+ * output 2 = Z blanking mask (1 = blanked, silent when frames carry none).
  * When no new frame arrives, the current frame keeps repeating — so the
  * oscilloscope beam holds its position instead of snapping to 0,0.
  *
@@ -10,14 +11,28 @@
  * analyser window always shows a single stable frame repeating, rather
  * than a stream of different frames that would create ghost images.
  *
- * Frames arrive pre-processed (rotated, resampled) from the frame-processor
+ * How the beam gets from the old frame to the new one is set by the
+ * transition mode:
+ *   'cut'    — swap immediately, mid-cycle (the beam jumps, leaving a
+ *              retrace streak on real scopes)
+ *   'cycle'  — hold the new frame until the current one finishes its cycle,
+ *              so the swap happens at the frame's own start point
+ *   'travel' — move the beam from its current position to the new frame's
+ *              first point at a limited slew rate, then start the new frame
+ * If several frames arrive during a transition, only the latest is kept.
+ *
+ * Frames arrive pre-processed (reordered, resampled) from the frame-processor
  * worker. This worklet is a pure ring buffer player.
  *
  * Communication with the main thread:
- *   port.postMessage({ type: 'points', data: Float32Array })
- *     - Interleaved [x0,y0, x1,y1, ...] point data (pre-rotated)
+ *   port.postMessage({ type: 'points', data: Float32Array, blanking?: Float32Array })
+ *     - Interleaved [x0,y0, x1,y1, ...] point data, with an
+ *       optional per-point blanking mask for the Z output
  *   port.postMessage({ type: 'clear' })
  *     - Reset all buffers (e.g. on stop)
+ *   port.postMessage({ type: 'transition', mode, slewRate })
+ *     - Set the frame transition mode and the travel slew rate
+ *       (normalized units per sample)
  */
 class PointsProcessor extends AudioWorkletProcessor {
     constructor() {
@@ -26,24 +41,75 @@ class PointsProcessor extends AudioWorkletProcessor {
         // Current frame: interleaved Float32Array [x0,y0, x1,y1, ...]
         this.frame = null;
         this.frameOffset = 0;
+        this.blanking = null;
+
+        // Frame waiting for a 'cycle' or 'travel' transition to complete
+        this.pendingFrame = null;
+        this.pendingBlanking = null;
+        this.transitionMode = 'cut';
+        this.slewRate = 0.02;
+        this.traveling = false;
+
+        // Last output beam position (start point for 'travel')
+        this.beamX = 0;
+        this.beamY = 0;
 
         this.port.onmessage = (e) => {
             const msg = e.data;
             if (msg.type === 'points') {
-                // Replace current frame (no queue — always show latest)
-                this.frame = msg.data;
-                this.frameOffset = 0;
+                this.receiveFrame(msg.data, msg.blanking ?? null);
             } else if (msg.type === 'clear') {
                 this.frame = null;
                 this.frameOffset = 0;
+                this.blanking = null;
+                this.pendingFrame = null;
+                this.traveling = false;
+            } else if (msg.type === 'transition') {
+                this.transitionMode = msg.mode;
+                this.slewRate = Math.max(1e-4, msg.slewRate);
+                // A pending frame from the previous mode is shown right
+                // away, travelled to, or waits for the end of the cycle
+                this.traveling = msg.mode === 'travel' && this.pendingFrame !== null;
+                if (msg.mode === 'cut' && this.pendingFrame) {
+                    this.swapToPending();
+                }
             }
         };
     }
 
+    receiveFrame(frame, blanking) {
+        // Nothing to transition from — show the first frame immediately
+        if (this.transitionMode === 'cut' || !this.frame) {
+            this.frame = frame;
+            this.blanking = blanking;
+            this.frameOffset = 0;
+            this.pendingFrame = null;
+            this.traveling = false;
+            return;
+        }
+
+        // Replace any frame that is still waiting (no queue — always show latest)
+        this.pendingFrame = frame;
+        this.pendingBlanking = blanking;
+        if (this.transitionMode === 'travel') {
+            this.traveling = true;
+        }
+    }
+
+    swapToPending() {
+        this.frame = this.pendingFrame;
+        this.blanking = this.pendingBlanking;
+        this.frameOffset = 0;
+        this.pendingFrame = null;
+        this.pendingBlanking = null;
+        this.traveling = false;
+    }
+
     process(inputs, outputs) {
-        // Output 0 = X (left channel), Output 1 = Y (right channel)
+        // Output 0 = X (left channel), Output 1 = Y (right channel), Output 2 = Z
         const xOut = outputs[0]?.[0];
         const yOut = outputs[1]?.[0];
+        const zOut = outputs[2]?.[0];
         if (!xOut || !yOut) return true;
 
         const frame = this.frame;
@@ -51,23 +117,47 @@ class PointsProcessor extends AudioWorkletProcessor {
             // No data yet — output silence
             xOut.fill(0);
             yOut.fill(0);
+            zOut?.fill(0);
             return true;
         }
 
         const len = xOut.length; // Typically 128 samples
-        const frameLen = frame.length;
-        let offset = this.frameOffset;
 
         for (let i = 0; i < len; i++) {
-            xOut[i] = frame[offset];
-            yOut[i] = frame[offset + 1];
-            offset += 2;
-            if (offset >= frameLen) {
-                offset = 0;
+            if (this.traveling) {
+                // Slew towards the pending frame's first point
+                const tx = this.pendingFrame[0];
+                const ty = this.pendingFrame[1];
+                const dx = tx - this.beamX;
+                const dy = ty - this.beamY;
+                const dist = Math.sqrt(dx * dx + dy * dy);
+                if (dist <= this.slewRate) {
+                    this.swapToPending();
+                } else {
+                    this.beamX += dx / dist * this.slewRate;
+                    this.beamY += dy / dist * this.slewRate;
+                    xOut[i] = this.beamX;
+                    yOut[i] = this.beamY;
+                    // Travel is always blanked when a Z channel is in use
+                    if (zOut) zOut[i] = this.pendingBlanking ? 1 : 0;
+                    continue;
+                }
+            }
+
+            const current = this.frame;
+            xOut[i] = this.beamX = current[this.frameOffset];
+            yOut[i] = this.beamY = current[this.frameOffset + 1];
+            if (zOut) zOut[i] = this.blanking ? this.blanking[this.frameOffset / 2] : 0;
+            this.frameOffset += 2;
+            if (this.frameOffset >= current.length - 1) {
+                this.frameOffset = 0;
+                // End of cycle — the waiting frame takes over from its start
+                if (this.pendingFrame && this.transitionMode === 'cycle') {
+                    this.swapToPending();
+                }
             }
         }
 
-        this.frameOffset = offset;
         return true;
     }
 }
@@ -0,0 +1,95 @@
+/**
+ * AudioWorklet processor for the output transform.
+ *
+ * Sits between every generator source and the left/right gain nodes, so
+ * rotation, scale and offset are applied per sample on the audio thread
+ * instead of being baked into each frame. Changing them doesn't require a
+ * frame to be re-processed, and they can be automated smoothly with the
+ * regular AudioParam methods (setTargetAtTime, linearRampToValueAtTime, ...).
+ *
+ * Two mono inputs (0 = X, 1 = Y) and two mono outputs (0 = X, 1 = Y).
+ * Transform order: rotate around the origin, then scale each axis, then
+ * offset — like the gain and position knobs on the scope itself. While
+ * nothing is playing into either input the output is silent, so an offset
+ * doesn't put a constant DC level on the outputs.
+ *
+ * AudioParams (all a-rate):
+ *   rotation  — degrees
+ *   spin      — continuous rotation in degrees per second, added to rotation
+ *   scaleX    — X gain
+ *   scaleY    — Y gain
+ *   offsetX   — X DC offset
+ *   offsetY   — Y DC offset
+ */
+class TransformProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'rotation', defaultValue: 0, automationRate: 'a-rate' },
+            { name: 'spin', defaultValue: 0, automationRate: 'a-rate' },
+            { name: 'scaleX', defaultValue: 1, automationRate: 'a-rate' },
+            { name: 'scaleY', defaultValue: 1, automationRate: 'a-rate' },
+            { name: 'offsetX', defaultValue: 0, automationRate: 'a-rate' },
+            { name: 'offsetY', defaultValue: 0, automationRate: 'a-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+
+        // Accumulated spin angle in degrees, kept within 0..360
+        this.spinAngle = 0;
+
+        // Cached cos/sin for the last angle
+        this.lastAngle = 0;
+        this.cos = 1;
+        this.sin = 0;
+    }
+
+    process(inputs, outputs, parameters) {
+        const outX = outputs[0][0];
+        const outY = outputs[1][0];
+        // Unconnected inputs have no channels — treat them as silence
+        const inX = inputs[0][0];
+        const inY = inputs[1][0];
+
+        // No source playing: stay silent rather than output the offset
+        if (!inX && !inY) {
+            outX.fill(0);
+            outY.fill(0);
+            return true;
+        }
+
+        const { rotation, spin, scaleX, scaleY, offsetX, offsetY } = parameters;
+        const spinStep = 1 / sampleRate;
+
+        for (let i = 0; i < outX.length; i++) {
+            this.spinAngle += value(spin, i) * spinStep;
+            if (this.spinAngle >= 360 || this.spinAngle < 0) {
+                this.spinAngle -= Math.floor(this.spinAngle / 360) * 360;
+            }
+
+            const angle = value(rotation, i) + this.spinAngle;
+            if (angle !== this.lastAngle) {
+                const rad = angle * Math.PI / 180;
+                this.cos = Math.cos(rad);
+                this.sin = Math.sin(rad);
+                this.lastAngle = angle;
+            }
+
+            const x = inX ? inX[i] : 0;
+            const y = inY ? inY[i] : 0;
+
+            outX[i] = (x * this.cos - y * this.sin) * value(scaleX, i) + value(offsetX, i);
+            outY[i] = (x * this.sin + y * this.cos) * value(scaleY, i) + value(offsetY, i);
+        }
+
+        return true;
+    }
+}
+
+// Param arrays hold one value when constant over the block
+function value(param, i) {
+    return param.length > 1 ? param[i] : param[0];
+}
+
+registerProcessor('transform-processor', TransformProcessor);
@@ -3,5 +3,10 @@ import { svelte } from '@sveltejs/vite-plugin-svelte'
 
 export default defineConfig({
   base: "./",
-  plugins: [svelte()]
+  plugins: [svelte()],
+  build: {
+    // Worklet modules are loaded with audioWorklet.addModule(), which needs
+    // a real file rather than an inlined data: URL
+    assetsInlineLimit: (filePath) => filePath.includes('/worklets/') ? false : undefined
+  }
 })